@@ -4,118 +4,44 @@ import {
   Color,
   PerspectiveCamera,
   WebGLRenderer,
-  BufferGeometry,
-  BufferAttribute,
-  Points,
-  Vector2,
-  Raycaster,
-  Plane,
-  Vector3,
   Clock,
-  MeshPhysicalMaterial,
-  PMREMGenerator,
   PointLight,
-  MathUtils,
   ACESFilmicToneMapping,
-  Layers,
-  PointsMaterial,
-  ShaderMaterial,
 } from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
-import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
-
-// --- TOP GLB MODULE ---
-// This module manages the separate GLB model that appears in the header
-const topGLBState = {
-  scene: null,
-  camera: null,
-  renderer: null,
-  model: null,
-  headerEl: null,
-  canvasEl: null,
-  config: { fit: 'height', fitAmount: 0.55 },
-  scrollGetter: () => 0,
-  headerSpin: 0,
-};
-
-async function loadTopGLB(mainScene, mainCamera, { url, initialScale = 1, playAnimations = true }) {
-  const loader = new GLTFLoader();
-  const gltf = await loader.loadAsync(url);
-  topGLBState.scene = new Scene();
-  topGLBState.camera = new PerspectiveCamera(60, 1, 0.1, 1000);
-  topGLBState.camera.position.z = 5;
-  topGLBState.model = gltf.scene;
-  topGLBState.model.scale.set(initialScale, initialScale, initialScale);
-  topGLBState.scene.add(topGLBState.model);
-  topGLBState.scene.environment = mainScene.environment;
-}
-
-function setTopGLBMaterial(material) {
-  if (!topGLBState.model) return;
-  topGLBState.model.traverse(n => { if (n.isMesh) { n.material = material; } });
-}
-
-function setTopGLBScrollProgressGetter(getter) {
-  topGLBState.scrollGetter = getter;
-}
-
-function topGLBUseHeaderCanvas(headerId, config = {}) {
-  topGLBState.headerEl = document.getElementById(headerId);
-  if (!topGLBState.headerEl) return;
-  topGLBState.config = { ...topGLBState.config, ...config };
-  topGLBState.canvasEl = document.createElement('canvas');
-  topGLBState.canvasEl.id = 'header-canvas';
-  topGLBState.headerEl.prepend(topGLBState.canvasEl);
-  topGLBState.renderer = new WebGLRenderer({ canvas: topGLBState.canvasEl, alpha: true, antialias: true });
-  topGLBState.renderer.toneMapping = ACESFilmicToneMapping;
-}
-
-function setTopGLBHeaderSpin(spin) {
-  topGLBState.headerSpin = spin;
-}
-
-function updateTopGLBHeaderCanvasLayout() {
-  if (!topGLBState.renderer || !topGLBState.headerEl) return;
-  const rect = topGLBState.headerEl.getBoundingClientRect();
-  topGLBState.renderer.setSize(rect.width, rect.height);
-  topGLBState.camera.aspect = rect.width / rect.height;
-
-  const fit = topGLBState.config.fit;
-  const fitAmount = topGLBState.config.fitAmount;
-  if (fit === 'height') {
-    const fov = topGLBState.camera.fov * (Math.PI / 180);
-    const h = 2 * Math.tan(fov / 2) * topGLBState.camera.position.z;
-    const reqScale = (rect.height * fitAmount) / h;
-    topGLBState.model.scale.set(reqScale, reqScale, reqScale);
-  } else { /* fit: 'width' */
-    const reqScale = (rect.width * fitAmount) / topGLBState.camera.aspect;
-    topGLBState.model.scale.set(reqScale, reqScale, reqScale);
-  }
-  topGLBState.camera.updateProjectionMatrix();
-}
-
-function updateTopGLB({ showAt, fullAt }) {
-  if (!topGLBState.model) return;
-  const scroll = topGLBState.scrollGetter();
-  const progress = Math.min(scroll / fullAt, 1.0);
-  const opacity = Math.max(0, (scroll - showAt) / (fullAt - showAt));
-  topGLBState.model.visible = (opacity > 0);
-  if (topGLBState.model.visible) {
-    topGLBState.model.rotation.y = topGLBState.headerSpin * performance.now() / 1000;
-  }
-  if (topGLBState.renderer) {
-    topGLBState.canvasEl.style.opacity = opacity;
-  }
-}
-
-function renderTopGLBHeaderCanvas() {
-  if (!topGLBState.renderer || !topGLBState.model || !topGLBState.model.visible) return;
-  topGLBState.renderer.render(topGLBState.scene, topGLBState.camera);
-}
+import { setScrollKeyframes, sampleScrollTimeline } from './scroll-timeline.js';
+import { loadAssets, whenAsset, whenAssetsReady } from './asset-loader.js';
+import { bindPreloader } from './preloader.js';
+import { hasFallenBack, reportFailure } from './failure.js';
+import {
+  bindEnvironment,
+  registerEnvironment,
+  setScrollEnvironment,
+  updateEnvironment,
+  rebuildEnvironment
+} from './environment.js';
+import { isContextLost, refreshMaterials, watchContextLoss } from './context-loss.js';
+import { bindScrollChapters, getChapterProgress } from './scroll-chapters.js';
+import { getFormation, registerFormation, sampleObjectSurfaces } from './formations.js';
+import { createMorphParticles, updateMorphParticles, resizeMorphParticles } from './particle-morph.js';
+import { getInteractionFieldUniforms, setInteractionFieldOptions, updateInteractionField } from './interaction-field.js';
+import { bindPointerInput, enableDeviceParallax, applyDeviceParallax } from './pointer-input.js';
+import { setBloomEnabled } from './selective-bloom.js';
+import { updateLetterAnimations } from './letter-animation.js';
+import { applyMaterialPreset, setMaterialOverridePolicy, updateMaterialTransitions } from './material-presets.js';
+import { buildPostPipeline, getPostPass, renderPostPipeline, resizePostPipeline } from './post-pipeline.js';
+import {
+  loadTopGLB,
+  setTopGLBMaterial,
+  setTopGLBScrollProgressGetter,
+  topGLBUseHeaderCanvas,
+  setTopGLBHeaderSpin,
+  setTopGLBScrollTransforms,
+  setTopGLBHeaderInteraction,
+  updateTopGLBHeaderCanvasLayout,
+  updateTopGLB,
+  renderTopGLBHeaderCanvas,
+  resetTopGLBClocks,
+} from './top-glb-loader.js';
 
 // --- DOM & THREE.JS SETUP ---
 const scene = new Scene();
@@ -127,175 +53,243 @@ renderer.setSize(window.innerWidth, window.innerHeight);
 camera.position.setZ(12);
 renderer.toneMapping = ACESFilmicToneMapping;
 
-// --- POST-PROCESSING (BLOOM) ---
-// This pass renders the scene as usual.
-const renderScene = new RenderPass(scene, camera);
-
-// This is the bloom pass, which creates the glow effect.
-// Parameters are: resolution, strength, radius, threshold.
-const bloomPass = new UnrealBloomPass(
-  new Vector2(window.innerWidth, window.innerHeight), 
-  1.5,  // strength
-  0.8, // radius 
-  0.85  // threshold
-);
-
 renderer.toneMappingExposure = 1.2;
-bloomPass.threshold = 0;
-bloomPass.strength = 2.0;
-bloomPass.radius = 1.0;
-
-// The bloomComposer runs the bloom effect on a separate texture.
-// It renders the scene, then applies the bloomPass.
-const bloomComposer = new EffectComposer(renderer);
-bloomComposer.renderToScreen = false; // We don't draw this to the screen directly.
-bloomComposer.addPass(renderScene);
-bloomComposer.addPass(bloomPass);
-
-// The finalPass uses a custom shader to combine the original scene
-// with the bloom texture created by the bloomComposer.
-const finalPass = new ShaderPass(
-  new ShaderMaterial({
-    uniforms: {
-      baseTexture: { value: null },
-      bloomTexture: { value: bloomComposer.renderTarget2.texture } // The bloom result.
-    },
-    vertexShader: document.getElementById('vertexshader').textContent,
-    fragmentShader: document.getElementById('fragmentshader').textContent,
-    defines: {}
-  }), "baseTexture"
-);
-finalPass.needsSwap = true;
-
-// The finalComposer renders the final image to the screen.
-const finalComposer = new EffectComposer(renderer);
-finalComposer.addPass(renderScene); // First, the original scene.
-finalComposer.addPass(finalPass); 
+
+// --- POST-PROCESSING ---
+// Passes run in this order after the scene render; toggle them with setPostPassEnabled(name, on).
+buildPostPipeline(renderer, scene, camera, {
+  passes: [
+    // Selective bloom: only BLOOM_LAYER objects glow (see selective-bloom.js).
+    { name: 'bloom', type: 'bloom', options: {
+      strength: 2.0,
+      radius: 1.0,
+      threshold: 0,
+      selective: true,
+      vertexShader: document.getElementById('vertexshader').textContent,
+      fragmentShader: document.getElementById('fragmentshader').textContent
+    } },
+    // Scroll-driven exposure. The composer never tone-maps or converts to sRGB (no 'output'
+    // pass), so the image keeps its look and exposure 1 changes nothing.
+    { name: 'exposure', type: 'exposure' },
+    { name: 'chromaticAberration', type: 'chromaticAberration', enabled: false, options: { amount: 0.0015 } },
+    { name: 'filmGrain', type: 'filmGrain', enabled: false, options: { intensity: 0.35 } },
+    { name: 'vignette', type: 'vignette', enabled: false, options: { offset: 1.0, darkness: 1.2 } },
+    { name: 'colorGrading', type: 'lut', enabled: false, options: { intensity: 1 } },
+    { name: 'fxaa', type: 'fxaa', enabled: false }, // last: FXAA works on the colors as shown
+  ]
+});
+const bloomPass = getPostPass('bloom').bloomPass;
+const exposurePass = getPostPass('exposure').pass;
 
 // --- LIGHTING ---
 const worldLight = new PointLight(0xffffff, 30, 50);
 scene.add(worldLight);
 
-// --- PARTICLES (SIMPLE) ---
+// --- PARTICLES (GPU MORPH) ---
 const particleCount = 1500;
-const particlesGeo = new THREE.BufferGeometry();
-const positions = new Float32Array(particleCount * 3);
-for (let i = 0; i < particleCount; i++) {
-  const i3 = i * 3;
-  const r = 5 + Math.random() * 10;
-  const t = Math.random() * Math.PI * 2;
-  const p = Math.acos(2 * Math.random() - 1);
-  positions[i3] = r * Math.sin(p) * Math.cos(t);
-  positions[i3 + 1] = r * Math.sin(p) * Math.sin(t);
-  positions[i3 + 2] = r * Math.cos(p);
-}
-particlesGeo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-
-const particleMaterial = new PointsMaterial({
-  color: 0xffffff,
+const nebula = createMorphParticles(getFormation('shell', particleCount), {
+  vertexShader: document.getElementById('particle-vertexshader').textContent,
+  fragmentShader: document.getElementById('particle-fragmentshader').textContent,
   size: 0.1,
-  sizeAttenuation: true,
-  blending: THREE.AdditiveBlending,
-  transparent: true
+  color: 0xffffff,
+  uniforms: getInteractionFieldUniforms()
 });
-
-const nebula = new THREE.Points(particlesGeo, particleMaterial);
+setInteractionFieldOptions({ mode: 'repel', falloff: 'exponential', radius: 4, strength: 2.5 });
+resizeMorphParticles(window.innerHeight * DPR);
+setBloomEnabled(nebula); // the particles glow, the crystal stays crisp
 scene.add(nebula);
 
-// --- MOUSE & SCROLL ---
-const mouse = new Vector2();
-window.addEventListener('mousemove',(e)=>{mouse.x=(e.clientX/window.innerWidth)*2-1;mouse.y=-(e.clientY/window.innerHeight)*2+1;});
-let scrollProgress = 0;
-window.addEventListener('scroll', () => {
-    const h = document.documentElement.scrollHeight - window.innerHeight;
-    if (h > 0) { scrollProgress = window.scrollY / h; }
-});
+// --- POINTER, DEVICE & SCROLL ---
+bindPointerInput(window);
+if (window.matchMedia('(pointer: coarse)').matches) enableDeviceParallax({ maxAngle: 0.12 });
 
 // --- PARTICLE MORPH TARGETS ---
-const camState1=new Vector3(0,0,15),camState2=new Vector3(14,-3,8),camState3=new Vector3(0,0,18);
-const formation1=new Float32Array(positions),formation2=new Float32Array(particleCount*3),formation3=new Float32Array(particleCount*3);
-const beltIR=7,beltOR=15,beltT=2.5,beltTilt=Math.PI/4;for(let i=0;i<particleCount;i++){const i3=i*3,a=Math.random()*Math.PI*2,r=Math.sqrt(Math.random()*(beltOR**2-beltIR**2)+beltIR**2);let x=r*Math.cos(a),z=r*Math.sin(a),y=(Math.random()-.5)*beltT;formation2[i3]=x;formation2[i3+1]=y*Math.cos(beltTilt)-z*Math.sin(beltTilt);formation2[i3+2]=y*Math.sin(beltTilt)+z*Math.cos(beltTilt);};
-const sphereR=10;for(let i=0;i<particleCount;i++){const i3=i*3,t=Math.random()*Math.PI*2,p=Math.acos(2*Math.random()-1);formation3[i3]=sphereR*Math.sin(p)*Math.cos(t);formation3[i3+1]=sphereR*Math.sin(p)*Math.sin(t);formation3[i3+2]=sphereR*Math.cos(p);};
+// Formations come from the registry in formations.js; anything not registered yet holds the shell.
+function formationPositions(spec) {
+  return getFormation(spec, particleCount) || getFormation('shell', particleCount);
+}
+
+// --- SCROLL STORY ---
+// Chapters are declared on the content sections in index.html (see scroll-chapters.js).
+setScrollKeyframes(bindScrollChapters('main > section.content'));
 
 // --- ASSET LOADING & SCENE SETUP ---
 let worldCrystal;
-const rgbeLoader = new RGBELoader();
-const pmremGenerator = new PMREMGenerator(renderer);
-pmremGenerator.compileEquirectangularShader();
-
-rgbeLoader.load('./textures/venice_sunset_1k.hdr', (texture) => {
-  const envMap = pmremGenerator.fromEquirectangular(texture).texture;
-  pmremGenerator.dispose();
-  scene.background = new Color(0x000000);
-  scene.environment = envMap;
-  scene.environmentIntensity = 0.1;
-
-  const crystalMat = new MeshPhysicalMaterial({metalness:0,roughness:0.05,transmission:1,ior:2.418,thickness:4,specularIntensity:1.0,color:new Color(0xffffff),dispersion:1.5,transparent:true});
-
-  const loader = new GLTFLoader();
-  loader.load('./voidanium.glb', async (gltf) => {
-    worldCrystal = gltf.scene;
-    worldCrystal.traverse(n=>{if(n.isMesh){
-      n.material = crystalMat;
-      n.frustumCulled = false;
-    }});
-    scene.add(worldCrystal);
-    worldCrystal.position.set(0,0,0);
-    worldCrystal.scale.set(25,25,25);
-
-    const metalMat = new MeshPhysicalMaterial({
-      metalness: 1.0,
-      roughness: 0.22,
-      color: new Color(0xb0b3b7),
-      envMapIntensity: 1.35,
-      clearcoat: 0.5,
-      clearcoatRoughness: 0.25,
-      iridescence: 0.15,
-      iridescenceIOR: 1.3,
-      iridescenceThicknessRange: [60, 140]
-    });
-
-    await loadTopGLB(scene, camera, { url: './voidaniumTOP.glb', initialScale: 1, playAnimations: true });
-
-    setTopGLBMaterial(metalMat);
-    setTopGLBScrollProgressGetter(() => scrollProgress);
-    topGLBUseHeaderCanvas('header', { fit: 'height', fitAmount: 0.55, envMap });
-    setTopGLBHeaderSpin(0.18);
+scene.background = new Color(0x000000);
+
+// All assets load in parallel (see asset-loader.js); the preloader overlay shows their progress
+// until the crystal is in the scene.
+const preloader = bindPreloader();
+loadAssets({
+  crystal: { type: 'gltf', url: './voidanium.glb' },
+  headerLogo: { type: 'gltf', url: './voidaniumTOP.glb', optional: true },
+  venice: { type: 'hdr', url: './textures/venice_sunset_1k.hdr', optional: true }
+});
+
+// Every failed asset is logged; only the crystal is essential.
+window.addEventListener('assets:error', ({ detail }) => {
+  reportFailure('asset', detail.error, { asset: detail.name, url: detail.url, fatal: !detail.optional });
+});
+
+// Rendering starts on the procedural room environment; the HDR replaces it once loaded
+// (see environment.js). Chapters pick environments with data-environment; the header model's
+// scene follows along.
+bindEnvironment(scene, renderer, { intensity: 0.1 });
+whenAsset('venice').then((texture) => { if (texture) registerEnvironment('venice', texture); });
+
+// Presets replace the "Chrome Glossy" material of both GLBs (the crystal gets 'diamond', the
+// header logo 'iridescentMetal'); any other material authored in them is kept as exported.
+setMaterialOverridePolicy({ materials: 'Chrome Glossy' });
+
+// The crystal -> header logo hand-off, in chapter progress (0..1 over the whole story, see
+// scroll-chapters.js) like the rest of the story. The crystal fades out over the first chapter
+// (data-crystal-opacity in index.html) instead of the old first 20% of the page; the header
+// logo fades in as the hand-off starts, so both stay in step whatever the section heights.
+const handOff = { start: 0.05, end: 1 / 3 };
+const headerFade = { showAt: 0.05, fullAt: 0.15 };
+
+async function setupHeaderLogo(gltf) {
+  await loadTopGLB(scene, camera, { gltf, initialScale: 1, playAnimations: true });
+
+  setTopGLBMaterial('iridescentMetal');
+  setTopGLBScrollProgressGetter(getChapterProgress);
+  // Inline: the header model renders in a canvas behind the header text (#header-canvas),
+  // sitting just right of the h1.
+  // Mobile GPUs get by with a single WebGL context: the main renderer draws the header model too.
+  const shareContext = window.matchMedia('(pointer: coarse)').matches;
+  topGLBUseHeaderCanvas('header', {
+    strategy: shareContext ? 'shared' : 'inline', renderer, camera: 'perspective', fade: 'canvas', lights: false,
+    fit: 'contain', fitAmount: 0.55, align: 'right', alignTo: '#header h1', gap: 16, padding: { top: '10%', bottom: '10%' }
+  });
+  setTopGLBHeaderSpin(0.18);
+  setTopGLBHeaderInteraction({ href: '/' }); // hover tilt and letter highlight, click goes home
+  // Over the first chapter (while the crystal fades out) the crystal shrinks onto the header
+  // logo and the logo flies in from where the crystal was.
+  setTopGLBScrollTransforms({
+    progress: getChapterProgress,
+    handOff: { ...handOff, object: worldCrystal, camera },
+    flyIn: { ...handOff, from: worldCrystal, camera },
+    rotate: { turns: 1, start: 1 / 3, end: 1, ease: 'linear' }
   });
+}
+
+whenAssetsReady().then(async ({ crystal }) => {
+  worldCrystal = crystal.scene;
+  applyMaterialPreset(worldCrystal, 'diamond');
+  worldCrystal.traverse(n=>{if(n.isMesh){
+    n.frustumCulled = false;
+    n.material.transparent = true; // fades with the scroll story, kept materials included
+  }});
+  scene.add(worldCrystal);
+  worldCrystal.position.set(0,0,0);
+  worldCrystal.scale.set(25,25,25);
+
+  // The 'logo' formation condenses the nebula into the crystal's lettering, one group per letter mesh.
+  registerFormation('logo', (count) => sampleObjectSurfaces(worldCrystal, count, { relativeTo: worldCrystal, scale: worldCrystal.scale.x }));
+  getFormation('logo', particleCount); // sample the letters at rest, before any letter animation
+  preloader.hide();
+
+  // The header logo is optional: without it the h1 wordmark stays on its own.
+  const headerLogo = await whenAsset('headerLogo');
+  if (headerLogo) {
+    try {
+      await setupHeaderLogo(headerLogo);
+    } catch (error) {
+      reportFailure('header-model', error);
+    }
+  }
+}).catch((error) => {
+  // Asset failures are already reported (and fatal) through 'assets:error' above.
+  if (!hasFallenBack()) reportFailure('startup', error, { fatal: true });
+});
+
+// --- CONTEXT LOSS ---
+// three.js re-uploads buffers, textures and programs itself and re-allocates render targets
+// (the composers refill theirs every frame). The PMREM environment only ever lived on the GPU
+// and is rebuilt here. The header renderer handles its own context (see top-glb-loader.js).
+watchContextLoss(renderer, {
+  onRestored() {
+    rebuildEnvironment(renderer);
+    resizePostPipeline(window.innerWidth, window.innerHeight);
+    refreshMaterials(scene);
+  }
 });
 
 // --- ANIMATION LOOP ---
 const clock = new Clock();
-const raycaster=new Raycaster(),intersection=new Vector3(),plane=new Plane(new Vector3(0,0,1),0);
+
+let pausedByContextLoss = false;
+
+// The nebula drifts around its axis, except while it shows the crystal's lettering: the 'logo'
+// targets are sampled facing the camera, so the spin slows with the logo's share of the morph
+// and the angle blends onto the nearest full turn (latched when the logo segment starts).
+let nebulaSpin = 0;
+let nebulaFrontTurn = null;
+
+function logoWeight(story) {
+  const w = (story.formationFrom === 'logo' ? 1 - story.formationProgress : 0) +
+    (story.formationTo === 'logo' ? story.formationProgress : 0);
+  return Math.min(1, w);
+}
 
 function animate() {
+  if (hasFallenBack()) return; // the static page is showing instead
   requestAnimationFrame(animate);
-  const elapsedTime = clock.getElapsedTime();
-  const animProgress = Math.min(scrollProgress / 0.2, 1.0);
-
-  const pInterp = (scrollProgress < .5) ? scrollProgress * 2 : (scrollProgress - .5) * 2;
-  const camSrc = (scrollProgress < .5) ? camState1 : camState2;
-  const camDst = (scrollProgress < .5) ? camState2 : camState3;
-  const pSrc = (scrollProgress < .5) ? formation1 : formation2;
-  const pDst = (scrollProgress < .5) ? formation2 : formation3;
-  camera.position.lerpVectors(camSrc, camDst, pInterp);
-  camera.lookAt(0,0,0);
+  // Paused while any renderer has lost its context; on resume the time away is skipped and
+  // the particles jump straight to the current scroll position.
+  if (isContextLost()) { pausedByContextLoss = true; return; }
+  const resumed = pausedByContextLoss;
+  pausedByContextLoss = false;
+  let delta = clock.getDelta();
+  if (resumed) {
+    delta = 0;
+    resetTopGLBClocks();
+  }
+  const elapsedTime = clock.elapsedTime;
+  const story = sampleScrollTimeline(getChapterProgress());
+
+  const pInterp = story.formationProgress;
+  const pSrc = formationPositions(story.formationFrom);
+  const pDst = formationPositions(story.formationTo);
+  camera.position.copy(story.cameraPosition);
+  camera.lookAt(story.cameraTarget);
+  applyDeviceParallax(camera, story.cameraTarget, delta);
+
+  bloomPass.strength = story.bloom.strength;
+  bloomPass.radius = story.bloom.radius;
+  bloomPass.threshold = story.bloom.threshold;
+  exposurePass.uniforms.exposure.value = story.exposure;
+
+  setScrollEnvironment({
+    from: story.environmentFrom,
+    to: story.environmentTo,
+    t: story.environmentProgress,
+    intensity: story.environmentIntensity,
+    rotation: story.environmentRotation
+  }); // runtime setEnvironment() etc. take precedence (see environment.js)
+  updateEnvironment(delta);
 
   if (worldCrystal) {
-    worldCrystal.traverse(n => { if(n.isMesh) n.material.opacity = 1 - animProgress });
-    worldCrystal.visible = (animProgress < 1.0);
+    worldCrystal.traverse(n => { if(n.isMesh) n.material.opacity = story.crystalOpacity });
+    worldCrystal.visible = (story.crystalOpacity > 0);
     worldCrystal.rotation.y = 0.3 * elapsedTime;
   }
 
-  const posAttr=particlesGeo.attributes.position;for(let i=0;i<particleCount;i++){const i3=i*3;const tX=MathUtils.lerp(pSrc[i3],pDst[i3],pInterp),tY=MathUtils.lerp(pSrc[i3+1],pDst[i3+1],pInterp),tZ=MathUtils.lerp(pSrc[i3+2],pDst[i3+2],pInterp);posAttr.array[i3]=MathUtils.lerp(posAttr.array[i3],tX,.07);posAttr.array[i3+1]=MathUtils.lerp(posAttr.array[i3+1],tY,.07);posAttr.array[i3+2]=MathUtils.lerp(posAttr.array[i3+2],tZ,.07);}posAttr.needsUpdate=true;nebula.rotation.y=-.05*elapsedTime;
+  updateLetterAnimations(delta);
+  updateMaterialTransitions(delta);
+  updateMorphParticles(pSrc, pDst, pInterp, resumed ? Infinity : delta);
+  const logo = logoWeight(story);
+  nebulaSpin -= 0.05 * delta * (1 - logo);
+  if (logo > 0) nebulaFrontTurn ??= Math.round(nebulaSpin / (2 * Math.PI)) * 2 * Math.PI;
+  else nebulaFrontTurn = null;
+  nebula.rotation.y = logo > 0 ? THREE.MathUtils.lerp(nebulaSpin, nebulaFrontTurn, logo) : nebulaSpin;
   
-  raycaster.setFromCamera(mouse,camera);if(raycaster.ray.intersectPlane(plane,intersection)){const f=40,r=4;for(let i=0;i-d/r));posAttr.array[i3]+=v.x;posAttr.array[i3+1]+=v.y;posAttr.array[i3+2]+=v.z;}}}
+  updateInteractionField(camera, story.cameraTarget, nebula, delta);
 
-  updateTopGLB({ showAt: 0.01, fullAt: 0.12 });
-  updateTopGLBHeaderCanvasLayout();
+  updateTopGLB(headerFade);
+  updateTopGLBHeaderCanvasLayout(); // no-op unless the header changed size
 
-  bloomComposer.render();
-  finalComposer.render();
+  renderPostPipeline(delta);
 
   renderTopGLBHeaderCanvas();
 }
@@ -308,8 +302,8 @@ window.addEventListener('resize', () => {
   renderer.setSize(window.innerWidth, window.innerHeight);
   renderer.setPixelRatio(DPR);
 
-  bloomComposer.setSize(window.innerWidth, window.innerHeight);
-  finalComposer.setSize(window.innerWidth, window.innerHeight);
+  resizePostPipeline(window.innerWidth, window.innerHeight);
+  resizeMorphParticles(window.innerHeight * DPR);
   
-  updateTopGLBHeaderCanvasLayout(); // Also resize the header canvas
+  updateTopGLBHeaderCanvasLayout({ force: true }); // Also resize the header canvas
 });
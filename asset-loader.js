@@ -0,0 +1,107 @@
+import { CubeTextureLoader, LoadingManager, TextureLoader } from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+
+// --- ASSET LOADING ---
+// Loads a manifest of assets in parallel through one shared LoadingManager and reports the
+// combined progress. A manifest maps names to { type, url, optional = false }:
+//   gltf     GLTF/GLB scene (resolves to the gltf)
+//   hdr      RGBE equirectangular texture
+//   exr      OpenEXR equirectangular texture
+//   texture  plain image texture
+//   cube     cube texture, url is the array of six faces
+// Progress and completion are also dispatched on window:
+//   'assets:progress'  detail { progress (0..1), loaded, total }
+//   'assets:ready'     detail { assets } once every required asset has loaded
+//   'assets:error'     detail { name, url, optional, error } for each failed asset
+// Required failures reject the ready promise; optional ones resolve to null.
+// New types can be added with registerAssetType(type, factory), where factory(manager)
+// returns a loader with a three.js style load(url, onLoad, onProgress, onError).
+
+export const assetManager = new LoadingManager();
+
+const _types = new Map();
+
+const _assets = {
+  entries: new Map(), // name -> { url, optional, progress, done, promise }
+  ready: null
+};
+
+export function registerAssetType(type, factory) {
+  _types.set(type, factory);
+}
+
+registerAssetType('gltf', (manager) => new GLTFLoader(manager));
+registerAssetType('hdr', (manager) => new RGBELoader(manager));
+registerAssetType('exr', (manager) => new EXRLoader(manager));
+registerAssetType('texture', (manager) => new TextureLoader(manager));
+registerAssetType('cube', (manager) => new CubeTextureLoader(manager));
+
+function emit(type, detail) {
+  window.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+function reportProgress() {
+  const entries = Array.from(_assets.entries.values());
+  const loaded = entries.filter((e) => e.done).length;
+  const progress = entries.reduce((sum, e) => sum + (e.done ? 1 : e.progress), 0) / Math.max(1, entries.length);
+  emit('assets:progress', { progress, loaded, total: entries.length });
+}
+
+function loadOne(name, { type, url, optional = false }) {
+  const entry = { url, optional, progress: 0, done: false, promise: null };
+  _assets.entries.set(name, entry);
+
+  const factory = _types.get(type);
+  entry.promise = new Promise((resolve, reject) => {
+    if (!factory) { reject(new Error(`Unknown asset type: ${type}`)); return; }
+    factory(assetManager).load(url, resolve, (e) => {
+      if (e && e.lengthComputable && e.total > 0) {
+        entry.progress = Math.min(1, e.loaded / e.total);
+        reportProgress();
+      }
+    }, reject);
+  }).then((asset) => {
+    entry.done = true;
+    reportProgress();
+    return asset;
+  }, (error) => {
+    entry.done = true;
+    reportProgress();
+    emit('assets:error', { name, url, optional, error });
+    if (!optional) throw error;
+    return null;
+  });
+  return entry.promise;
+}
+
+// Starts loading every asset of `manifest`. Resolves to { name: asset } once all required
+// assets have loaded (optional ones may still be loading; see whenAsset).
+export function loadAssets(manifest) {
+  const names = Object.keys(manifest);
+  const promises = names.map((name) => loadOne(name, manifest[name]));
+  reportProgress();
+
+  const required = names.filter((name) => !manifest[name].optional);
+  _assets.ready = Promise.all(required.map((name) => _assets.entries.get(name).promise)).then((list) => {
+    const assets = {};
+    required.forEach((name, i) => (assets[name] = list[i]));
+    emit('assets:ready', { assets });
+    return assets;
+  });
+  Promise.all(promises).catch(() => {}); // failures are reported through the events above
+  return _assets.ready;
+}
+
+// Promise of one asset from a loaded manifest (null for a failed optional one).
+export function whenAsset(name) {
+  const entry = _assets.entries.get(name);
+  if (!entry) return Promise.reject(new Error(`[Assets] No asset named "${name}"`));
+  return entry.promise;
+}
+
+// Promise of the required assets of the last loadAssets() call.
+export function whenAssetsReady() {
+  return _assets.ready || Promise.reject(new Error('[Assets] loadAssets() has not been called'));
+}
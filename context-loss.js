@@ -0,0 +1,37 @@
+// --- WEBGL CONTEXT LOSS ---
+// Mobile browsers drop WebGL contexts of background tabs. Watched renderers allow the browser
+// to restore them (preventDefault on loss) and report loss and restore to their owner, which
+// has to recreate whatever lived only on the GPU (PMREM maps, render target contents).
+// three.js re-uploads geometries, textures and programs by itself after a restore.
+
+const _contexts = {
+  lost: new Set()
+};
+
+export function watchContextLoss(renderer, { onLost = null, onRestored = null } = {}) {
+  const canvas = renderer.domElement;
+  canvas.addEventListener('webglcontextlost', (e) => {
+    e.preventDefault(); // without this the context is never restored
+    _contexts.lost.add(renderer);
+    console.warn('[ContextLoss] WebGL context lost:', canvas.id || 'canvas');
+    if (onLost) onLost();
+  });
+  canvas.addEventListener('webglcontextrestored', () => {
+    _contexts.lost.delete(renderer);
+    console.warn('[ContextLoss] WebGL context restored:', canvas.id || 'canvas');
+    if (onRestored) onRestored();
+  });
+}
+
+// Whether `renderer` (or, without one, any watched renderer) currently has no context.
+export function isContextLost(renderer = null) {
+  return renderer ? _contexts.lost.has(renderer) : _contexts.lost.size > 0;
+}
+
+// Flags every material under `root` for recompilation.
+export function refreshMaterials(root) {
+  root.traverse((n) => {
+    if (!n.material) return;
+    (Array.isArray(n.material) ? n.material : [n.material]).forEach((m) => (m.needsUpdate = true));
+  });
+}
@@ -0,0 +1,37 @@
+// --- EASING ---
+// Shared easing helpers for the scroll story and the header model.
+
+export function clamp01(x) { return Math.min(1, Math.max(0, x)); }
+
+export function smoothstep(t) { t = clamp01(t); return t * t * (3 - 2 * t); }
+
+export function cubic(t) {
+  t = clamp01(t);
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+export function linear(t) { return clamp01(t); }
+
+// Overshoots slightly before settling.
+export function backOut(t) {
+  t = clamp01(t) - 1;
+  return 1 + 2.70158 * t * t * t + 1.70158 * t * t;
+}
+
+// Lands and bounces a few times, like a dropped object.
+export function bounce(t) {
+  t = clamp01(t);
+  const n = 7.5625, d = 2.75;
+  if (t < 1 / d) return n * t * t;
+  if (t < 2 / d) return n * (t -= 1.5 / d) * t + 0.75;
+  if (t < 2.5 / d) return n * (t -= 2.25 / d) * t + 0.9375;
+  return n * (t -= 2.625 / d) * t + 0.984375;
+}
+
+export const easings = { linear, smoothstep, cubic, backOut, bounce };
+
+// Resolves an easing by name (or passes a function through); unknown names fall back to linear.
+export function getEasing(ease) {
+  if (typeof ease === 'function') return ease;
+  return easings[ease] || linear;
+}
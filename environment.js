@@ -0,0 +1,335 @@
+import {
+  CubeTextureLoader, CubeUVReflectionMapping, EquirectangularReflectionMapping, HalfFloatType,
+  LinearFilter, LinearSRGBColorSpace, PMREMGenerator, RGBAFormat, ShaderMaterial, WebGLRenderTarget
+} from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import { FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+import { clamp01, getEasing } from './easing.js';
+
+// --- ENVIRONMENT MAPS ---
+// Owns the image-based lighting of every scene bound with bindEnvironment(). Environments are
+// registered by name and loaded on first use; until one is ready (or when it fails to load)
+// its place is taken by the procedural 'room', so nothing waits on the network. Sources:
+//   'room'                 the procedural room (registered as 'room')
+//   '*.hdr' / '*.exr'      equirectangular image url
+//   [px, nx, py, ny, pz, nz] cube map face urls
+//   a Texture              equirectangular or cube texture
+// The current look is a blend between two environments (from, to, t): setEnvironment() fades
+// over time, blendEnvironments() sets it directly. Blends are rendered into a PMREM-shaped
+// target, which needs both maps at the same resolution; otherwise they switch halfway.
+// Intensity and Y rotation apply on top of each environment's own
+// (scene.environmentIntensity / environmentRotation).
+// Precedence: the scroll story pushes its values every frame (setScrollEnvironment), but a
+// runtime call wins. setEnvironment/blendEnvironments hold the look, setEnvironmentIntensity
+// and setEnvironmentRotation hold theirs, until releaseEnvironmentOverride() hands them back.
+// PMREM textures belong to one WebGL context, so each renderer gets its own copies, made
+// from the kept source textures.
+
+const _env = {
+  environments: new Map(), // name -> { source, texture, owned, status, promise, intensity, rotation }
+  renderers: new Map(),    // renderer -> { pmrem, targets: Map name -> target, blend, blendKey }
+  scenes: new Map(),       // scene -> { renderer, intensity }
+  listeners: new Set(),
+  from: 'room',
+  to: 'room',
+  t: 0,
+  fade: null,              // { time, duration, ease, resolve } while setEnvironment fades
+  intensity: 1,
+  rotation: 0,             // radians about Y
+  scroll: null,            // { from, to, t, intensity, rotation } last pushed by the scroll story
+  held: { look: false, intensity: false, rotation: false } // set at runtime, ignoring the scroll
+};
+
+const _blendMaterial = new ShaderMaterial({
+  uniforms: { tFrom: { value: null }, tTo: { value: null }, uMix: { value: 0 } },
+  vertexShader: 'varying vec2 vUv; void main() { vUv = uv; gl_Position = vec4(position.xy, 0.0, 1.0); }',
+  fragmentShader: `
+    uniform sampler2D tFrom;
+    uniform sampler2D tTo;
+    uniform float uMix;
+    varying vec2 vUv;
+    void main() { gl_FragColor = mix(texture2D(tFrom, vUv), texture2D(tTo, vUv), uMix); }`,
+  depthTest: false,
+  depthWrite: false,
+  toneMapped: false
+});
+const _quad = new FullScreenQuad(_blendMaterial);
+
+// Adds (or replaces) environment `name`. intensity and rotation (radians about Y) are its own
+// look, combined with the global ones. `preload` starts loading right away.
+export function registerEnvironment(name, source, { intensity = 1, rotation = 0, preload = false } = {}) {
+  const previous = _env.environments.get(name);
+  if (previous) releaseEnvironment(name, previous);
+  _env.environments.set(name, { source, texture: null, owned: false, status: 'idle', promise: null, intensity, rotation });
+  if (preload) loadEnvironment(name);
+}
+
+export function listEnvironments() {
+  return Array.from(_env.environments.keys());
+}
+
+// Loads environment `name` if needed. Resolves true once it is usable, false (after a warning)
+// when it failed; it is then rendered as 'room'.
+export function loadEnvironment(name) {
+  const entry = _env.environments.get(name);
+  if (!entry) {
+    console.warn('[Environment] Unknown environment:', name);
+    return Promise.resolve(false);
+  }
+  if (!entry.promise) {
+    entry.status = 'loading';
+    entry.promise = loadSource(entry.source).then((texture) => {
+      if (_env.environments.get(name) !== entry) { // replaced while loading
+        if (texture !== entry.source && texture !== 'room') texture.dispose();
+        return false;
+      }
+      if (texture.isTexture && !texture.isCubeTexture) texture.mapping = EquirectangularReflectionMapping;
+      entry.texture = texture;
+      entry.owned = texture !== entry.source;
+      entry.status = 'ready';
+      refresh(true);
+      return true;
+    }, (err) => {
+      entry.status = 'error';
+      console.warn('[Environment] Failed to load', name, '- using the room environment instead.', err);
+      return false;
+    });
+  }
+  return entry.promise;
+}
+
+function loadSource(source) {
+  if (source === 'room' || source?.isTexture) return Promise.resolve(source);
+  if (Array.isArray(source)) return new CubeTextureLoader().loadAsync(source);
+  if (typeof source !== 'string') return Promise.reject(new Error(`Unsupported environment source: ${source}`));
+  const loader = /\.exr(\?|#|$)/i.test(source) ? new EXRLoader() : new RGBELoader();
+  return loader.loadAsync(source);
+}
+
+// Name actually rendered for `name`: itself once loaded, the room otherwise.
+function usable(name) {
+  const entry = _env.environments.get(name);
+  if (!entry) return 'room';
+  if (entry.status === 'idle') loadEnvironment(name);
+  return entry.status === 'ready' ? name : 'room';
+}
+
+function releaseEnvironment(name, entry) {
+  for (const r of _env.renderers.values()) {
+    r.targets.get(name)?.dispose();
+    r.targets.delete(name);
+    r.blendKey = null;
+  }
+  if (entry.owned) entry.texture.dispose();
+}
+
+// Keeps scene.environment on the current look (made for `renderer`) from now on; `intensity`
+// scales it for this scene.
+export function bindEnvironment(scene, renderer, { intensity = 1 } = {}) {
+  _env.scenes.set(scene, { renderer, intensity });
+  applyTo(scene, _env.scenes.get(scene));
+}
+
+export function unbindEnvironment(scene) {
+  _env.scenes.delete(scene);
+}
+
+// The current environment texture for `renderer`.
+export function getEnvironment(renderer) {
+  return textureFor(renderer);
+}
+
+// fn({ from, to, t }) after the environments in use change (not on every blend step).
+// Returns a function that unsubscribes.
+export function onEnvironmentChange(fn) {
+  _env.listeners.add(fn);
+  return () => _env.listeners.delete(fn);
+}
+
+// Fades to environment `name` over `duration` seconds (0 switches at once) and holds it against
+// the scroll story. Resolves true when the fade has finished, false when another change took over.
+export function setEnvironment(name, { duration = 1, ease = 'smoothstep' } = {}) {
+  if (!_env.environments.has(name)) {
+    console.warn('[Environment] Unknown environment:', name);
+    return Promise.resolve(false);
+  }
+  _env.held.look = true;
+  endFade(false);
+  loadEnvironment(name);
+  const current = _env.t >= 0.5 ? _env.to : _env.from;
+  if (duration <= 0 || current === name) {
+    setBlend(name, name, 0);
+    return Promise.resolve(true);
+  }
+  setBlend(current, name, 0);
+  return new Promise((resolve) => {
+    _env.fade = { time: 0, duration, ease: getEasing(ease), resolve };
+  });
+}
+
+// Shows `from` blended towards `to` by t (0..1) and holds it against the scroll story. Stops a
+// running fade.
+export function blendEnvironments(from, to, t) {
+  _env.held.look = true;
+  endFade(false);
+  setBlend(from || 'room', to || from || 'room', clamp01(t));
+}
+
+export function setEnvironmentIntensity(intensity) {
+  _env.held.intensity = true;
+  _env.intensity = intensity;
+}
+
+export function setEnvironmentRotation(radians) {
+  _env.held.rotation = true;
+  _env.rotation = radians;
+}
+
+// The scroll story's environment, pushed every frame. `from` null leaves the look alone (no
+// chapter names one). Values held by a runtime call are ignored until released.
+export function setScrollEnvironment({ from = null, to = null, t = 0, intensity = 1, rotation = 0 } = {}) {
+  _env.scroll = { from, to, t, intensity, rotation };
+  applyScroll();
+}
+
+// Hands the look, intensity and rotation back to the scroll story, at once.
+export function releaseEnvironmentOverride() {
+  endFade(false);
+  _env.held.look = _env.held.intensity = _env.held.rotation = false;
+  applyScroll();
+}
+
+function applyScroll() {
+  const s = _env.scroll;
+  if (!s) return;
+  if (!_env.held.look && s.from) setBlend(s.from, s.to || s.from, clamp01(s.t));
+  if (!_env.held.intensity) _env.intensity = s.intensity;
+  if (!_env.held.rotation) _env.rotation = s.rotation;
+}
+
+function endFade(completed) {
+  if (!_env.fade) return;
+  const { resolve } = _env.fade;
+  _env.fade = null;
+  if (completed) setBlend(_env.to, _env.to, 0);
+  resolve(completed);
+}
+
+function setBlend(from, to, t) {
+  const changed = from !== _env.from || to !== _env.to;
+  _env.from = from;
+  _env.to = to;
+  _env.t = t;
+  if (changed) refresh(false);
+}
+
+// Re-applies the current look; `reloaded` when an environment became ready.
+function refresh(reloaded) {
+  if (reloaded) for (const r of _env.renderers.values()) r.blendKey = null;
+  for (const [scene, binding] of _env.scenes) applyTo(scene, binding);
+  _env.listeners.forEach((fn) => fn({ from: _env.from, to: _env.to, t: _env.t }));
+}
+
+// Advances a setEnvironment fade and updates every bound scene; call once per frame, before
+// rendering.
+export function updateEnvironment(delta) {
+  const fade = _env.fade;
+  if (fade) {
+    fade.time += delta;
+    if (fade.time >= fade.duration) endFade(true);
+    else _env.t = fade.ease(fade.time / fade.duration);
+  }
+  for (const [scene, binding] of _env.scenes) applyTo(scene, binding);
+}
+
+// Recreates the PMREM maps of `renderer` after its context was restored (they only existed on
+// the GPU) and re-applies them to the bound scenes.
+export function rebuildEnvironment(renderer) {
+  const r = _env.renderers.get(renderer);
+  if (r) {
+    r.targets.forEach((target) => target.dispose());
+    r.blend?.dispose();
+    r.pmrem.dispose();
+    _env.renderers.delete(renderer);
+  }
+  for (const [scene, binding] of _env.scenes) {
+    if (binding.renderer === renderer) applyTo(scene, binding);
+  }
+}
+
+function look(name) {
+  return _env.environments.get(name) || { intensity: 1, rotation: 0 };
+}
+
+function applyTo(scene, { renderer, intensity }) {
+  const a = look(_env.from), b = look(_env.to), t = _env.t;
+  scene.environment = textureFor(renderer);
+  scene.environmentIntensity = intensity * _env.intensity * (a.intensity + (b.intensity - a.intensity) * t);
+  if (scene.environmentRotation) scene.environmentRotation.y = _env.rotation + a.rotation + (b.rotation - a.rotation) * t;
+}
+
+function rendererEntry(renderer) {
+  let r = _env.renderers.get(renderer);
+  if (!r) {
+    r = { pmrem: new PMREMGenerator(renderer), targets: new Map(), blend: null, blendKey: null };
+    _env.renderers.set(renderer, r);
+  }
+  return r;
+}
+
+function targetFor(r, name) {
+  let target = r.targets.get(name);
+  if (!target) {
+    const entry = _env.environments.get(name);
+    const source = name === 'room' || !entry ? 'room' : entry.texture;
+    target = generate(r.pmrem, source);
+    r.targets.set(name, target);
+  }
+  return target;
+}
+
+function generate(pmrem, source) {
+  if (source === 'room') {
+    const room = new RoomEnvironment();
+    const target = pmrem.fromScene(room, 0.04);
+    room.dispose();
+    return target;
+  }
+  return source.isCubeTexture ? pmrem.fromCubemap(source) : pmrem.fromEquirectangular(source);
+}
+
+function textureFor(renderer) {
+  const r = rendererEntry(renderer);
+  const from = usable(_env.from), to = usable(_env.to), t = _env.t;
+  if (from === to || t <= 0) return targetFor(r, from).texture;
+  if (t >= 1) return targetFor(r, to).texture;
+
+  const a = targetFor(r, from), b = targetFor(r, to);
+  if (a.width !== b.width || a.height !== b.height) return (t < 0.5 ? a : b).texture;
+
+  const key = `${from}|${to}|${t.toFixed(3)}`;
+  if (r.blendKey !== key) {
+    if (!r.blend || r.blend.width !== a.width || r.blend.height !== a.height) {
+      r.blend?.dispose();
+      r.blend = new WebGLRenderTarget(a.width, a.height, {
+        magFilter: LinearFilter, minFilter: LinearFilter, generateMipmaps: false,
+        type: HalfFloatType, format: RGBAFormat, colorSpace: LinearSRGBColorSpace, depthBuffer: false
+      });
+      r.blend.texture.mapping = CubeUVReflectionMapping;
+      r.blend.texture.name = 'PMREM.cubeUv';
+    }
+    _blendMaterial.uniforms.tFrom.value = a.texture;
+    _blendMaterial.uniforms.tTo.value = b.texture;
+    _blendMaterial.uniforms.uMix.value = t;
+    const previous = renderer.getRenderTarget();
+    renderer.setRenderTarget(r.blend);
+    _quad.render(renderer);
+    renderer.setRenderTarget(previous);
+    r.blendKey = key;
+  }
+  return r.blend.texture;
+}
+
+registerEnvironment('room', 'room');
@@ -0,0 +1,70 @@
+// --- FAILURE POLICY ---
+// Everything that keeps (part of) the 3D scene from showing goes through reportFailure(),
+// which logs one structured console entry and dispatches 'app:failure' on window with the
+// same record. Fatal failures switch the page to the static fallback (body.static-fallback in
+// style.css): the wordmark in the header plus the written content, without the canvases.
+// Kinds used by the app: 'webgl-unsupported', 'startup' (renderer/context creation), 'asset',
+// 'header-model'.
+
+const _failures = {
+  log: [],
+  fallback: false
+};
+
+// Which WebGL versions this browser can create a context for. The probe contexts are
+// released right away: mobile browsers only allow a few at a time.
+export function detectWebGL() {
+  const result = { webgl: false, webgl2: false };
+  try {
+    const canvas = document.createElement('canvas');
+    result.webgl2 = release(window.WebGL2RenderingContext && canvas.getContext('webgl2'));
+    result.webgl = result.webgl2 || release(window.WebGLRenderingContext &&
+      (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
+  } catch (e) {
+    // Treated as unsupported.
+  }
+  return result;
+}
+
+function release(gl) {
+  if (!gl) return false;
+  gl.getExtension('WEBGL_lose_context')?.loseContext();
+  return true;
+}
+
+// Records a failure. `detail` is merged into the log record; fatal ones show the fallback.
+export function reportFailure(kind, error, { fatal = false, ...detail } = {}) {
+  const record = {
+    kind,
+    fatal,
+    message: error?.message || String(error),
+    ...detail,
+    time: new Date().toISOString()
+  };
+  _failures.log.push(record);
+  console.error('[Failure]', record, error instanceof Error ? error : '');
+  window.dispatchEvent(new CustomEvent('app:failure', { detail: record }));
+  if (fatal) showStaticFallback(record);
+  return record;
+}
+
+export function getFailures() {
+  return _failures.log.slice();
+}
+
+export function hasFallenBack() {
+  return _failures.fallback;
+}
+
+// Swaps the 3D page for its static version. Safe to call more than once.
+export function showStaticFallback(record = null) {
+  if (_failures.fallback) return;
+  _failures.fallback = true;
+  document.body.classList.add('static-fallback');
+  const fallback = document.getElementById('fallback');
+  if (fallback) {
+    fallback.hidden = false;
+    if (record) fallback.dataset.reason = record.kind;
+  }
+  document.getElementById('preloader')?.remove();
+}
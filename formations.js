@@ -0,0 +1,255 @@
+import { Matrix4, Vector3 } from 'three';
+import { MeshSurfaceSampler } from 'three/addons/math/MeshSurfaceSampler.js';
+
+// --- PARTICLE FORMATIONS ---
+// Named generators for the nebula morph targets. A generator is called as
+// generator(count, params) and must return a Float32Array of count * 3 positions, or
+// { positions, groups } where groups are { name, start, count } ranges of particles
+// (e.g. one per letter of a sampled mesh).
+// Formations are referenced by name ('belt') or by { name, params } from the scroll story.
+
+const _formations = new Map();
+const _cache = new Map();      // string specs: name -> entry
+const _specCache = new WeakMap(); // { name, params } specs -> entry
+const _warned = new Set();
+
+export function registerFormation(name, generator, defaults = {}) {
+  const prev = _formations.get(name);
+  _formations.set(name, { generator, defaults, version: prev ? prev.version + 1 : 0 });
+}
+
+export function hasFormation(name) {
+  return _formations.has(name);
+}
+
+export function listFormations() {
+  return Array.from(_formations.keys());
+}
+
+// Generates a fresh formation as { positions, groups }. Throws for unknown names.
+export function createFormation(name, count, params = {}) {
+  const entry = _formations.get(name);
+  if (!entry) throw new Error(`[Formations] Unknown formation: ${name}`);
+  const out = entry.generator(count, { ...entry.defaults, ...params });
+  const positions = out instanceof Float32Array ? out : out && out.positions;
+  if (!(positions instanceof Float32Array) || positions.length !== count * 3) {
+    throw new Error(`[Formations] "${name}" must return a Float32Array of ${count * 3} values`);
+  }
+  return { positions, groups: (out && out.groups) || [{ name, start: 0, count }] };
+}
+
+function lookup(spec, count) {
+  if (!spec) return null;
+  const isName = typeof spec === 'string';
+  const name = isName ? spec : spec.name;
+  const entry = _formations.get(name);
+  if (!entry) {
+    if (!_warned.has(name)) { _warned.add(name); console.warn('[Formations] Not registered (yet):', name); }
+    return null;
+  }
+
+  const cached = isName ? _cache.get(name) : _specCache.get(spec);
+  if (cached && cached.count === count && cached.version === entry.version) return cached;
+
+  const next = { count, version: entry.version, ...createFormation(name, count, isName ? {} : spec.params) };
+  if (isName) _cache.set(name, next); else _specCache.set(spec, next);
+  return next;
+}
+
+// Cached positions for a formation spec. Returns null (and warns once) if the name is not registered yet.
+export function getFormation(spec, count) {
+  const entry = lookup(spec, count);
+  return entry ? entry.positions : null;
+}
+
+// Particle ranges of a formation spec, e.g. one per letter for mesh-sampled formations.
+export function getFormationGroups(spec, count) {
+  const entry = lookup(spec, count);
+  return entry ? entry.groups : null;
+}
+
+const _dir = new Vector3();
+const _scale = new Vector3();
+
+// Samples `count` points across the surfaces of every mesh under `object`, split between the
+// meshes by surface area. Particles stay contiguous per mesh and are described by `groups`.
+// Points are expressed in the local space of `relativeTo` (world space when null), times `scale`.
+export function sampleObjectSurfaces(object, count, { relativeTo = null, scale = 1 } = {}) {
+  object.updateWorldMatrix(true, true);
+  const inverse = new Matrix4();
+  if (relativeTo) inverse.copy(relativeTo.matrixWorld).invert();
+
+  const meshes = [];
+  object.traverse(n => {
+    if (!n.isMesh) return;
+    const matrix = new Matrix4().multiplyMatrices(inverse, n.matrixWorld);
+    const sampler = new MeshSurfaceSampler(n).build();
+    _scale.setFromMatrixScale(matrix);
+    const area = sampler.distribution[sampler.distribution.length - 1] *
+      Math.pow(Math.abs(_scale.x * _scale.y * _scale.z), 2 / 3);
+    meshes.push({ name: n.name, sampler, matrix, area });
+  });
+
+  const positions = new Float32Array(count * 3);
+  if (!meshes.length) {
+    console.warn('[Formations] No meshes to sample under', object.name || object);
+    return { positions, groups: [] };
+  }
+
+  // Largest-remainder split so the per-mesh counts add up to `count`.
+  const total = meshes.reduce((a, m) => a + m.area, 0) || 1;
+  const shares = meshes.map(m => count * m.area / total);
+  const counts = shares.map(Math.floor);
+  const left = count - counts.reduce((a, c) => a + c, 0);
+  shares.map((v, i) => [v - counts[i], i]).sort((a, b) => b[0] - a[0])
+    .slice(0, left).forEach(([, i]) => counts[i]++);
+
+  const groups = [];
+  let start = 0;
+  meshes.forEach((m, i) => {
+    for (let j = 0; j < counts[i]; j++) {
+      m.sampler.sample(_dir);
+      _dir.applyMatrix4(m.matrix).multiplyScalar(scale).toArray(positions, (start + j) * 3);
+    }
+    groups.push({ name: m.name, start, count: counts[i] });
+    start += counts[i];
+  });
+  return { positions, groups };
+}
+
+// --- BUILT-IN GENERATORS ---
+
+function randomOnSphere(out) {
+  const t = Math.random() * Math.PI * 2;
+  const p = Math.acos(2 * Math.random() - 1);
+  return out.set(Math.sin(p) * Math.cos(t), Math.sin(p) * Math.sin(t), Math.cos(p));
+}
+
+registerFormation('shell', (count, { innerRadius, outerRadius }) => {
+  const out = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const r = innerRadius + Math.random() * (outerRadius - innerRadius);
+    randomOnSphere(_dir).multiplyScalar(r).toArray(out, i * 3);
+  }
+  return out;
+}, { innerRadius: 5, outerRadius: 15 });
+
+registerFormation('sphere', (count, { radius }) => {
+  const out = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) randomOnSphere(_dir).multiplyScalar(radius).toArray(out, i * 3);
+  return out;
+}, { radius: 10 });
+
+// Flat ring of particles tilted around the x axis.
+registerFormation('belt', (count, { innerRadius, outerRadius, thickness, tilt }) => {
+  const out = new Float32Array(count * 3);
+  const cos = Math.cos(tilt), sin = Math.sin(tilt);
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    const a = Math.random() * Math.PI * 2;
+    const r = Math.sqrt(Math.random() * (outerRadius ** 2 - innerRadius ** 2) + innerRadius ** 2);
+    const x = r * Math.cos(a), z = r * Math.sin(a), y = (Math.random() - 0.5) * thickness;
+    out[i3] = x;
+    out[i3 + 1] = y * cos - z * sin;
+    out[i3 + 2] = y * sin + z * cos;
+  }
+  return out;
+}, { innerRadius: 7, outerRadius: 15, thickness: 2.5, tilt: Math.PI / 4 });
+
+registerFormation('helix', (count, { radius, height, turns, strands, jitter }) => {
+  const out = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    const t = Math.random();
+    const a = t * turns * Math.PI * 2 + (i % strands) * (Math.PI * 2 / strands);
+    out[i3] = radius * Math.cos(a) + (Math.random() - 0.5) * jitter;
+    out[i3 + 1] = (t - 0.5) * height + (Math.random() - 0.5) * jitter;
+    out[i3 + 2] = radius * Math.sin(a) + (Math.random() - 0.5) * jitter;
+  }
+  return out;
+}, { radius: 6, height: 20, turns: 4, strands: 2, jitter: 0.3 });
+
+// Logarithmic-looking spiral arms in the xz plane, denser towards the core.
+registerFormation('galaxy', (count, { arms, radius, twist, spread, thickness }) => {
+  const out = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    const r = Math.pow(Math.random(), 1.5) * radius;
+    const a = (i % arms) * (Math.PI * 2 / arms) + (r / radius) * twist * Math.PI * 2;
+    const s = spread * (1 - r / radius * 0.5);
+    out[i3] = r * Math.cos(a) + (Math.random() - 0.5) * s * r * 0.3;
+    out[i3 + 1] = (Math.random() - 0.5) * thickness * (1 - r / radius);
+    out[i3 + 2] = r * Math.sin(a) + (Math.random() - 0.5) * s * r * 0.3;
+  }
+  return out;
+}, { arms: 3, radius: 14, twist: 0.75, spread: 0.6, thickness: 1.5 });
+
+registerFormation('torusKnot', (count, { radius, tube, p, q }) => {
+  const out = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    const u = Math.random() * Math.PI * 2 * p;
+    const cu = Math.cos(u), su = Math.sin(u), qu = (q / p) * u;
+    const k = 0.5 * (2 + Math.cos(qu));
+    randomOnSphere(_dir).multiplyScalar(tube * Math.random());
+    out[i3] = radius * k * cu + _dir.x;
+    out[i3 + 1] = radius * k * su + _dir.y;
+    out[i3 + 2] = radius * 0.5 * Math.sin(qu) + _dir.z;
+  }
+  return out;
+}, { radius: 8, tube: 0.8, p: 2, q: 3 });
+
+// Cube lattice; the grid is sized to the smallest cube that fits `count` points.
+registerFormation('lattice', (count, { size }) => {
+  const out = new Float32Array(count * 3);
+  const n = Math.ceil(Math.cbrt(count));
+  const step = n > 1 ? size / (n - 1) : 0;
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    out[i3] = (i % n) * step - size / 2;
+    out[i3 + 1] = (Math.floor(i / n) % n) * step - size / 2;
+    out[i3 + 2] = Math.floor(i / (n * n)) * step - size / 2;
+  }
+  return out;
+}, { size: 16 });
+
+// Rasterizes `text` with a CSS font and scatters particles over the filled pixels.
+// Web fonts must be loaded first (document.fonts.load(font)) or the fallback face is used.
+registerFormation('text', (count, { text, font, width, depth }) => {
+  const out = new Float32Array(count * 3);
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.font = font;
+  const m = ctx.measureText(text);
+  const ascent = Math.ceil(m.actualBoundingBoxAscent), descent = Math.ceil(m.actualBoundingBoxDescent);
+  canvas.width = Math.max(1, Math.ceil(m.width) + 4);
+  canvas.height = Math.max(1, ascent + descent + 4);
+  ctx.font = font; // resizing the canvas resets the context
+  ctx.fillStyle = '#fff';
+  ctx.fillText(text, 2, 2 + ascent);
+
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const filled = [];
+  for (let i = 3; i < data.length; i += 4) if (data[i] > 127) filled.push((i - 3) / 4);
+  if (!filled.length) return out;
+
+  const scale = width / canvas.width;
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    const px = filled[Math.floor(Math.random() * filled.length)];
+    const x = px % canvas.width + Math.random(), y = Math.floor(px / canvas.width) + Math.random();
+    out[i3] = (x - canvas.width / 2) * scale;
+    out[i3 + 1] = (canvas.height / 2 - y) * scale;
+    out[i3 + 2] = (Math.random() - 0.5) * depth;
+  }
+  return out;
+}, { text: 'VOIDANIUM', font: 'bold 160px sans-serif', width: 20, depth: 0.5 });
+
+// Samples points on the surfaces of a mesh or a whole object (see sampleObjectSurfaces).
+registerFormation('mesh', (count, { mesh, relativeTo, scale }) => {
+  if (!mesh || !mesh.isObject3D) {
+    console.warn('[Formations] "mesh" needs params.mesh to be an Object3D');
+    return new Float32Array(count * 3);
+  }
+  return sampleObjectSurfaces(mesh, count, { relativeTo, scale });
+}, { mesh: null, relativeTo: null, scale: 1 });
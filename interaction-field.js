@@ -0,0 +1,124 @@
+import { Plane, Quaternion, Raycaster, Vector2, Vector3, Vector4 } from 'three';
+
+// --- INTERACTION FIELD ---
+// Pushes the nebula particles around interaction points (the mouse, later touches).
+// The displacement itself is computed in the particle vertex shader; this module keeps a
+// damped spring per point on the CPU, so when a point moves or goes away the particles
+// overshoot slightly and spring back to their formation. Points are projected onto a plane
+// through the camera target that faces the camera.
+// This approximates per-particle inertia: the springs move each field's center and
+// amplitude, and every particle takes the offset the field gives at its position that frame.
+// Particles have no velocity of their own (that would need a simulation pass over the
+// GPU-morphed positions, see particle-morph.js), so nearby particles always move together.
+//   mode:     'repel' | 'attract' | 'swirl'
+//   falloff:  'linear' | 'smooth' | 'exponential'
+//   radius:   distance (world units) at which the falloff is evaluated
+//   strength: maximum displacement (world units)
+//   stiffness / damping: spring constants of the return motion
+
+export const MAX_FIELD_POINTS = 8;
+
+const MODES = { repel: 0, attract: 1, swirl: 2 };
+const FALLOFFS = { linear: 0, smooth: 1, exponential: 2 };
+
+const _field = {
+  options: {
+    mode: 'repel',
+    falloff: 'exponential',
+    radius: 4,
+    strength: 2.5,
+    stiffness: 60,
+    damping: 8
+  },
+  points: new Map(), // id -> { ndc, active, center, velocity, amplitude, speed, placed }
+  uniforms: {
+    uFieldPoints: { value: Array.from({ length: MAX_FIELD_POINTS }, () => new Vector4()) },
+    uFieldCount: { value: 0 },
+    uFieldMode: { value: MODES.repel },
+    uFieldFalloff: { value: FALLOFFS.exponential },
+    uFieldRadius: { value: 4 },
+    uFieldStrength: { value: 2.5 },
+    uFieldAxis: { value: new Vector3(0, 0, -1) }
+  }
+};
+
+const _raycaster = new Raycaster();
+const _plane = new Plane();
+const _forward = new Vector3();
+const _hit = new Vector3();
+const _local = new Vector3();
+const _inverseRotation = new Quaternion();
+
+// Uniforms to merge into the particle material.
+export function getInteractionFieldUniforms() {
+  return _field.uniforms;
+}
+
+export function setInteractionFieldOptions(options = {}) {
+  const o = Object.assign(_field.options, options);
+  if (!(o.mode in MODES)) console.warn('[InteractionField] Unknown mode:', o.mode);
+  if (!(o.falloff in FALLOFFS)) console.warn('[InteractionField] Unknown falloff:', o.falloff);
+  _field.uniforms.uFieldMode.value = MODES[o.mode] ?? MODES.repel;
+  _field.uniforms.uFieldFalloff.value = FALLOFFS[o.falloff] ?? FALLOFFS.exponential;
+  _field.uniforms.uFieldRadius.value = o.radius;
+  _field.uniforms.uFieldStrength.value = o.strength;
+}
+
+// Moves interaction point `id` to `ndc` (normalized device coordinates), or releases it with null.
+// A released point springs back to zero and is dropped once it has settled.
+export function setInteractionPoint(id, ndc) {
+  let p = _field.points.get(id);
+  if (!ndc) { if (p) p.active = false; return; }
+  if (!p) {
+    if (_field.points.size >= MAX_FIELD_POINTS) return;
+    p = { ndc: new Vector2(), active: true, center: new Vector3(), velocity: new Vector3(), amplitude: 0, speed: 0, placed: false };
+    _field.points.set(id, p);
+  }
+  p.ndc.copy(ndc);
+  p.active = true;
+}
+
+function spring(value, velocity, target, delta) {
+  const { stiffness, damping } = _field.options;
+  return velocity + (stiffness * (target - value) - damping * velocity) * delta;
+}
+
+// Projects the points, advances their springs and writes the uniforms in `object`'s local space.
+export function updateInteractionField(camera, target, object, delta) {
+  const dt = Math.min(delta, 1 / 30); // keep the springs stable on long frames
+  camera.getWorldDirection(_forward);
+  _plane.setFromNormalAndCoplanarPoint(_forward, target);
+  object.updateMatrixWorld();
+
+  let n = 0;
+  for (const [id, p] of _field.points) {
+    if (p.active) {
+      _raycaster.setFromCamera(p.ndc, camera);
+      if (_raycaster.ray.intersectPlane(_plane, _hit)) {
+        if (!p.placed) { p.center.copy(_hit); p.placed = true; }
+        p.velocity.set(
+          spring(p.center.x, p.velocity.x, _hit.x, dt),
+          spring(p.center.y, p.velocity.y, _hit.y, dt),
+          spring(p.center.z, p.velocity.z, _hit.z, dt)
+        );
+        p.center.addScaledVector(p.velocity, dt);
+      }
+    }
+    p.speed = spring(p.amplitude, p.speed, p.active && p.placed ? 1 : 0, dt);
+    p.amplitude += p.speed * dt;
+
+    if (!p.active && Math.abs(p.amplitude) < 1e-3 && Math.abs(p.speed) < 1e-3) {
+      _field.points.delete(id);
+      continue;
+    }
+    if (n < MAX_FIELD_POINTS && p.placed) {
+      _local.copy(p.center);
+      object.worldToLocal(_local);
+      _field.uniforms.uFieldPoints.value[n++].set(_local.x, _local.y, _local.z, p.amplitude);
+    }
+  }
+  _field.uniforms.uFieldCount.value = n;
+
+  object.getWorldQuaternion(_inverseRotation).invert();
+  _field.uniforms.uFieldAxis.value.copy(_forward).applyQuaternion(_inverseRotation);
+}
@@ -0,0 +1,272 @@
+import { Box3, Euler, Matrix4, Quaternion, Vector3 } from 'three';
+import { clamp01, getEasing } from './easing.js';
+
+// --- LETTER ANIMATION ---
+// Both GLBs hold one mesh per letter of VOIDANIUM under their "Simplify" node. This module
+// addresses those letters by index or character and runs staggered animations on them, on
+// the world crystal and the header logo alike (any root works that contains letter meshes).
+// An animation is apply(pose, t, letter, params, state), called per letter with that letter's
+// own progress t (0..1, after its stagger delay); it writes into pose:
+//   offset    Vector3 in the root's space (use letter.size to stay scale-independent)
+//   rotation  Euler in the root's space, about the letter's center
+//   scale     uniform, about the letter's center
+//   visible
+// init(letter, params, index, letters) may return per-letter state for the run; apply also
+// gets that state and whether the letter is still waiting for its stagger delay.
+
+const _animations = new Map(); // name -> { apply, init, defaults }
+const _letterSets = new WeakMap(); // root -> letters
+const _runs = new Set();
+
+const _box = new Box3();
+const _inverse = new Matrix4();
+const _v = new Vector3();
+const _q = new Quaternion();
+
+export function registerLetterAnimation(name, { apply, init = null, defaults = {} }) {
+  _animations.set(name, { apply, init, defaults });
+}
+
+export function listLetterAnimations() {
+  return Array.from(_animations.keys());
+}
+
+// Letter records of `root`, in file order: { mesh, index, char, center, size, ... }.
+// Meshes directly under the node named `group` are the letters; without one, every mesh is.
+export function getLetters(root, { group = 'Simplify' } = {}) {
+  let letters = _letterSets.get(root);
+  if (letters) return letters;
+
+  const parent = root.getObjectByName(group);
+  const meshes = [];
+  if (parent) parent.children.forEach((n) => { if (n.isMesh) meshes.push(n); });
+  else root.traverse((n) => { if (n.isMesh) meshes.push(n); });
+
+  root.updateWorldMatrix(true, true);
+  _inverse.copy(root.matrixWorld).invert();
+  letters = meshes.map((mesh, index) => {
+    // Parent space <-> root space, to express poses in the root's space.
+    const parentToRoot = new Matrix4().multiplyMatrices(_inverse, mesh.parent.matrixWorld);
+    const parentRotation = new Quaternion();
+    parentToRoot.decompose(_v, parentRotation, new Vector3());
+
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    _box.copy(mesh.geometry.boundingBox);
+    _box.applyMatrix4(new Matrix4().multiplyMatrices(_inverse, mesh.matrixWorld));
+    return {
+      mesh,
+      index,
+      char: letterChar(mesh.name),
+      center: _box.getCenter(new Vector3()),
+      size: _box.getSize(new Vector3()),
+      parentToRoot,
+      rootToParent: parentToRoot.clone().invert(),
+      parentRotation,
+      restPosition: mesh.position.clone(),
+      restQuaternion: mesh.quaternion.clone(),
+      restScale: mesh.scale.clone(),
+      restVisible: mesh.visible,
+      run: null
+    };
+  });
+  _letterSets.set(root, letters);
+  return letters;
+}
+
+// "3D_Text_-_v" -> "v". GLTFLoader suffixes repeated node names ("3D_Text_-_i_1"), so that
+// suffix is dropped first, unless it is the letter itself ("3D_Text_-_1").
+const LETTER_NAME = /[-_ ]([^-_ ])$/;
+function letterChar(name) {
+  name = name || '';
+  const match = LETTER_NAME.exec(name.replace(/_\d+$/, '')) || LETTER_NAME.exec(name);
+  return match ? match[1].toLowerCase() : '';
+}
+
+// Letters matching `select`: undefined (all), an index, a character (every occurrence) or mesh
+// name, a predicate, or an array of those.
+export function selectLetters(root, select) {
+  const letters = getLetters(root);
+  if (select == null) return letters.slice();
+  if (Array.isArray(select)) {
+    const picked = new Set(select.flatMap((s) => selectLetters(root, s)));
+    return letters.filter((l) => picked.has(l));
+  }
+  if (typeof select === 'function') return letters.filter(select);
+  if (typeof select === 'number') return letters[select] ? [letters[select]] : [];
+  const key = String(select).toLowerCase();
+  return letters.filter((l) => l.char === key || l.mesh.name === select);
+}
+
+// Runs animation `name` on the selected letters of `root`. Options (plus the animation's params):
+//   select    see selectLetters
+//   duration  seconds per letter
+//   stagger   seconds between consecutive letters
+//   order     'forward' | 'reverse' | 'center' (outwards from the middle) | 'random'
+//   ease      applied to each letter's progress before the animation sees it
+//   repeat    number of runs (Infinity loops until stopped)
+// Returns a promise that resolves true when done, false when stopped or replaced. Letters
+// already animating are taken over by the new run.
+export function animateLetters(root, name, options = {}) {
+  const animation = _animations.get(name);
+  if (!animation) {
+    console.warn('[LetterAnimation] Unknown animation:', name);
+    return Promise.resolve(false);
+  }
+  const {
+    select, duration = 1, stagger = 0.08, order = 'forward', ease = 'linear', repeat = 1, ...rest
+  } = options;
+  const params = { ...animation.defaults, ...rest };
+  const letters = selectLetters(root, select);
+  if (!letters.length) return Promise.resolve(false);
+
+  const delays = staggerDelays(letters.length, order, stagger);
+  const run = {
+    animation, params, duration, repeat, time: 0,
+    ease: getEasing(ease),
+    span: duration + Math.max(...delays),
+    entries: letters.map((letter, i) => ({
+      letter,
+      delay: delays[i],
+      state: animation.init ? animation.init(letter, params, i, letters) : null
+    })),
+    resolve: null
+  };
+  for (const entry of run.entries) {
+    if (entry.letter.run) detach(entry.letter);
+    entry.letter.run = run;
+  }
+  _runs.add(run);
+  return new Promise((resolve) => (run.resolve = resolve));
+}
+
+function staggerDelays(n, order, stagger) {
+  const ranks = Array.from({ length: n }, (_, i) => i);
+  if (order === 'reverse') ranks.reverse();
+  else if (order === 'center') ranks.forEach((_, i) => (ranks[i] = Math.round(Math.abs(i - (n - 1) / 2))));
+  else if (order === 'random') {
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [ranks[i], ranks[j]] = [ranks[j], ranks[i]];
+    }
+  }
+  return ranks.map((r) => r * stagger);
+}
+
+// Takes `letter` out of its run; the run ends (resolving false) once it has no letters left.
+function detach(letter) {
+  const run = letter.run;
+  letter.run = null;
+  run.entries = run.entries.filter((e) => e.letter !== letter);
+  if (!run.entries.length) finish(run, false);
+}
+
+function finish(run, completed) {
+  _runs.delete(run);
+  for (const { letter } of run.entries) {
+    if (letter.run === run) letter.run = null;
+    resetLetter(letter);
+  }
+  run.resolve?.(completed);
+}
+
+// Stops animations on the selected letters and puts them back at rest.
+export function stopLetterAnimations(root, select) {
+  for (const letter of selectLetters(root, select)) {
+    if (letter.run) detach(letter);
+    resetLetter(letter);
+  }
+}
+
+function resetLetter(letter) {
+  letter.mesh.position.copy(letter.restPosition);
+  letter.mesh.quaternion.copy(letter.restQuaternion);
+  letter.mesh.scale.copy(letter.restScale);
+  letter.mesh.visible = letter.restVisible;
+}
+
+const _pose = { offset: new Vector3(), rotation: new Euler(), scale: 1, visible: true };
+const _rotation = new Quaternion();
+const _point = new Vector3();
+
+// Applies the pose about the letter's center, converting from the root's to the parent's space.
+function applyPose(letter, pose) {
+  const { mesh } = letter;
+  _rotation.setFromEuler(pose.rotation);
+  // Rest position in root space, moved about the center.
+  _point.copy(letter.restPosition).applyMatrix4(letter.parentToRoot).sub(letter.center)
+    .multiplyScalar(pose.scale).applyQuaternion(_rotation).add(letter.center).add(pose.offset);
+  mesh.position.copy(_point.applyMatrix4(letter.rootToParent));
+  // Root-space rotation, seen from the parent: p^-1 * r * p.
+  _q.copy(letter.parentRotation).invert().multiply(_rotation).multiply(letter.parentRotation);
+  mesh.quaternion.copy(_q).multiply(letter.restQuaternion);
+  mesh.scale.copy(letter.restScale).multiplyScalar(pose.scale);
+  mesh.visible = letter.restVisible && pose.visible;
+}
+
+// Advances every running animation; call once per frame.
+export function updateLetterAnimations(delta) {
+  for (const run of Array.from(_runs)) {
+    run.time += delta;
+    const cycle = Math.floor(run.time / run.span);
+    if (cycle >= run.repeat) { finish(run, true); continue; }
+    const local = run.time - cycle * run.span;
+    for (const entry of run.entries) {
+      const t = run.ease(clamp01((local - entry.delay) / run.duration));
+      _pose.offset.set(0, 0, 0);
+      _pose.rotation.set(0, 0, 0);
+      _pose.scale = 1;
+      _pose.visible = true;
+      run.animation.apply(_pose, t, entry.letter, run.params, entry.state, local < entry.delay);
+      applyPose(entry.letter, _pose);
+    }
+  }
+}
+
+// --- BUILT-IN ANIMATIONS ---
+
+// Letters bob up and back down one after another.
+registerLetterAnimation('wave', {
+  defaults: { amplitude: 0.4 }, // letter heights
+  apply(pose, t, letter, { amplitude }) {
+    pose.offset.y = Math.sin(t * Math.PI) * amplitude * letter.size.y;
+  }
+});
+
+// Letters fall into place from above and bounce; hidden until their turn.
+registerLetterAnimation('dropIn', {
+  defaults: { height: 3 }, // letter heights
+  apply(pose, t, letter, { height }, state, waiting) {
+    pose.visible = !waiting;
+    pose.offset.y = (1 - getEasing('bounce')(t)) * height * letter.size.y;
+  }
+});
+
+// Letters trade places along an arc, spinning once, then return.
+registerLetterAnimation('scramble', {
+  defaults: { lift: 1 }, // letter heights of the arc
+  init(letter, params, index, letters) {
+    const n = letters.length;
+    const other = letters[(index + 1 + Math.floor(Math.random() * (n - 1))) % n];
+    return { dx: other.center.x - letter.center.x, dz: other.center.z - letter.center.z, spin: Math.random() < 0.5 ? -1 : 1 };
+  },
+  apply(pose, t, letter, { lift }, state) {
+    const there = Math.sin(t * Math.PI); // out and back
+    pose.offset.set(state.dx * there, Math.sin(t * Math.PI * 2) * lift * letter.size.y * state.spin, state.dz * there);
+    pose.rotation.y = t * Math.PI * 2 * state.spin;
+  }
+});
+
+// Letters fly apart tumbling, then reassemble.
+registerLetterAnimation('explode', {
+  defaults: { distance: 3, spin: 2 }, // letter heights / turns
+  init(letter) {
+    const dir = new Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
+    const axis = new Vector3(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1);
+    return { dir, axis };
+  },
+  apply(pose, t, letter, { distance, spin }, { dir, axis }) {
+    const out = t < 0.5 ? getEasing('cubic')(t * 2) : 1 - getEasing('cubic')((t - 0.5) * 2);
+    pose.offset.copy(dir).multiplyScalar(out * distance * letter.size.y);
+    pose.rotation.set(axis.x * out * spin * Math.PI, axis.y * out * spin * Math.PI, axis.z * out * spin * Math.PI);
+  }
+});
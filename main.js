@@ -0,0 +1,13 @@
+import { detectWebGL, reportFailure } from './failure.js';
+
+// --- ENTRY ---
+// Starts the 3D page only where it can run; otherwise the static fallback is shown instead
+// of a black page (see failure.js). three.js r163+ needs WebGL 2.
+
+const support = detectWebGL();
+if (!support.webgl2) {
+  reportFailure('webgl-unsupported', new Error('WebGL 2 is not available'), { fatal: true, webgl: support.webgl });
+} else {
+  // Throws from app.js (e.g. the renderer failing to create its context) reject the import.
+  import('./app.js').catch((error) => reportFailure('startup', error, { fatal: true }));
+}
@@ -0,0 +1,279 @@
+import { AdditiveBlending, Color, MeshPhysicalMaterial, NormalBlending } from 'three';
+import { clamp01, getEasing } from './easing.js';
+import { selectLetters } from './letter-animation.js';
+
+// --- MATERIAL PRESETS ---
+// Named looks for the crystal and the header logo. A preset is factory(params) -> material;
+// every built-in returns a MeshPhysicalMaterial so presets can be blended into each other.
+// Presets apply to a whole model or to some of its letters (`select`, see letter-animation.js).
+// Each apply/transition call makes its own material instance, so the crystal and the header
+// (which changes depth/transparency flags for fading) never share one.
+// Which meshes a preset may replace is decided by the override policy (see
+// setMaterialOverridePolicy), so materials authored in the GLB can be kept.
+
+const _presets = new Map(); // name -> { factory, defaults }
+const _transitions = new Set();
+let _policy = 'keep';
+
+export function registerMaterialPreset(name, factory, defaults = {}) {
+  _presets.set(name, { factory, defaults });
+}
+
+export function hasMaterialPreset(name) {
+  return _presets.has(name);
+}
+
+export function listMaterialPresets() {
+  return Array.from(_presets.keys());
+}
+
+// A new material from preset `name`. Throws for unknown names.
+export function createMaterialPreset(name, params = {}) {
+  const preset = _presets.get(name);
+  if (!preset) throw new Error(`[MaterialPresets] Unknown preset: ${name}`);
+  const material = preset.factory({ ...preset.defaults, ...params });
+  material.name = material.name || name;
+  return material;
+}
+
+function resolve(preset, params) {
+  if (preset && preset.isMaterial) return preset;
+  if (!_presets.has(preset)) {
+    console.warn('[MaterialPresets] Unknown preset:', preset);
+    return null;
+  }
+  return createMaterialPreset(preset, params);
+}
+
+// --- OVERRIDE POLICY ---
+//   'keep'      authored glTF materials stay; presets change nothing
+//   'override'  presets replace every material
+//   { meshes, materials }  presets replace only meshes whose name, or whose authored material's
+//               name, matches; each is a string (exact), a RegExp, or an array of those
+// The authored material is remembered on first replacement (mesh.userData.authoredMaterial),
+// so matching keeps working after presets changed the mesh and restoreAuthoredMaterials()
+// can put it back.
+
+export function setMaterialOverridePolicy(policy) {
+  if (policy !== 'keep' && policy !== 'override' && (typeof policy !== 'object' || !policy)) {
+    console.warn('[MaterialPresets] Unknown override policy:', policy);
+    return;
+  }
+  _policy = policy;
+}
+
+export function getMaterialOverridePolicy() {
+  return _policy;
+}
+
+function nameMatches(name, pattern) {
+  if (pattern == null) return false;
+  if (Array.isArray(pattern)) return pattern.some((p) => nameMatches(name, p));
+  if (pattern instanceof RegExp) return pattern.test(name || '');
+  return name === pattern;
+}
+
+function authoredMaterial(mesh) {
+  return mesh.userData.authoredMaterial || mesh.material;
+}
+
+export function mayOverrideMaterial(mesh, policy = _policy) {
+  if (policy === 'override') return true;
+  if (policy === 'keep' || !policy) return false;
+  const authored = authoredMaterial(mesh);
+  const materials = Array.isArray(authored) ? authored : [authored];
+  return nameMatches(mesh.name, policy.meshes) || materials.some((m) => nameMatches(m?.name, policy.materials));
+}
+
+function remember(mesh) {
+  if (!mesh.userData.authoredMaterial) mesh.userData.authoredMaterial = mesh.material;
+}
+
+// Puts the GLB's own materials back on the selected letters of `root`.
+export function restoreAuthoredMaterials(root, { select } = {}) {
+  for (const mesh of selectedMeshes(root, select, 'override')) {
+    if (!mesh.userData.authoredMaterial) continue;
+    cancelTransition(mesh);
+    mesh.material = mesh.userData.authoredMaterial;
+  }
+}
+
+// The selected meshes the policy lets `preset` replace. Warns when there were meshes but the
+// policy kept all of them, so a preset never silently does nothing.
+function selectedMeshes(root, select, policy, preset) {
+  const meshes = [];
+  let kept = 0;
+  selectLetters(root, select).forEach((letter) => letter.mesh.traverse((n) => {
+    if (!n.isMesh) return;
+    if (mayOverrideMaterial(n, policy)) meshes.push(n);
+    else kept++;
+  }));
+  if (!meshes.length && kept && preset !== undefined) {
+    console.warn('[MaterialPresets] The override policy keeps every selected material; not applied:', preset?.name || preset);
+  }
+  return meshes;
+}
+
+// Keeps whatever a fade set up on the old material (see top-glb-loader.js).
+function carryFade(from, to) {
+  if (!from || Array.isArray(from)) return;
+  if (from.transparent) to.transparent = true;
+  if (!from.depthTest) to.depthTest = false;
+  if (!from.depthWrite) to.depthWrite = false;
+}
+
+// Puts preset `preset` (a name or a material) on the selected letters of `root` (all by default)
+// that the override policy (or `policy`, for this call) allows. Returns the material, or null
+// for an unknown name or when no mesh may be changed.
+export function applyMaterialPreset(root, preset, { select, params = {}, policy } = {}) {
+  const meshes = selectedMeshes(root, select, policy, preset);
+  if (!meshes.length) return null;
+  const material = resolve(preset, params);
+  if (!material) return null;
+  carryFade(meshes[0].material, material);
+  for (const mesh of meshes) {
+    cancelTransition(mesh);
+    remember(mesh);
+    mesh.material = material;
+  }
+  return material;
+}
+
+// --- TRANSITIONS ---
+// Blends each selected mesh from its current material to the preset: numbers and colors are
+// interpolated, everything else (wireframe, blending, ...) switches halfway. Opacity is left to
+// whoever fades the model.
+
+const NUMBERS = [
+  'metalness', 'roughness', 'transmission', 'ior', 'thickness', 'attenuationDistance',
+  'clearcoat', 'clearcoatRoughness', 'iridescence', 'iridescenceIOR', 'sheen', 'sheenRoughness',
+  'specularIntensity', 'emissiveIntensity', 'envMapIntensity', 'dispersion'
+];
+const COLORS = ['color', 'emissive', 'specularColor', 'attenuationColor', 'sheenColor'];
+const SWITCHES = ['wireframe', 'blending', 'side', 'flatShading'];
+
+const _from = new Color();
+
+// Returns a promise that resolves true when done, false when replaced by another transition.
+export function transitionMaterialPreset(root, preset, { select, params = {}, policy, duration = 1, ease = 'smoothstep' } = {}) {
+  const meshes = selectedMeshes(root, select, policy, preset);
+  if (!meshes.length) return Promise.resolve(false);
+  const target = resolve(preset, params);
+  if (!target) return Promise.resolve(false);
+  carryFade(meshes[0].material, target);
+
+  // One blend material per distinct source material.
+  const blends = new Map();
+  for (const mesh of meshes) {
+    cancelTransition(mesh);
+    remember(mesh);
+    const source = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+    if (!blends.has(source)) {
+      const blend = target.clone();
+      blend.transparent = target.transparent || source.transparent;
+      blends.set(source, { source, blend, meshes: [] });
+    }
+    const entry = blends.get(source);
+    entry.meshes.push(mesh);
+    mesh.material = entry.blend;
+  }
+
+  const transition = {
+    target, duration, time: 0, ease: getEasing(ease), blends: Array.from(blends.values()), resolve: null
+  };
+  _transitions.add(transition);
+  blendMaterials(transition, 0);
+  return new Promise((resolve) => (transition.resolve = resolve));
+}
+
+function blendMaterials(transition, t) {
+  const { target } = transition;
+  for (const { source, blend } of transition.blends) {
+    for (const key of NUMBERS) {
+      if (typeof source[key] === 'number' && typeof target[key] === 'number') {
+        blend[key] = source[key] + (target[key] - source[key]) * t;
+      }
+    }
+    for (const key of COLORS) {
+      if (source[key]?.isColor && target[key]?.isColor) blend[key].copy(_from.copy(source[key]).lerp(target[key], t));
+    }
+    for (const key of SWITCHES) {
+      if (key in source && blend[key] !== (t < 0.5 ? source : target)[key]) {
+        blend[key] = (t < 0.5 ? source : target)[key];
+        blend.needsUpdate = true;
+      }
+    }
+  }
+}
+
+function cancelTransition(mesh) {
+  for (const transition of _transitions) {
+    for (const entry of transition.blends) {
+      const i = entry.meshes.indexOf(mesh);
+      if (i !== -1) entry.meshes.splice(i, 1);
+    }
+    if (transition.blends.every((entry) => !entry.meshes.length)) endTransition(transition, false);
+  }
+}
+
+function endTransition(transition, completed) {
+  _transitions.delete(transition);
+  for (const { blend, meshes } of transition.blends) {
+    for (const mesh of meshes) {
+      transition.target.opacity = mesh.material.opacity; // keep the current fade
+      mesh.material = transition.target;
+    }
+    blend.dispose();
+  }
+  transition.resolve?.(completed);
+}
+
+// Advances running transitions; call once per frame.
+export function updateMaterialTransitions(delta) {
+  for (const transition of Array.from(_transitions)) {
+    transition.time += delta;
+    const t = clamp01(transition.time / Math.max(1e-6, transition.duration));
+    if (t >= 1) { endTransition(transition, true); continue; }
+    blendMaterials(transition, transition.ease(t));
+  }
+}
+
+// --- BUILT-IN PRESETS ---
+
+registerMaterialPreset('diamond', (p) => new MeshPhysicalMaterial({
+  metalness: 0, roughness: p.roughness, transmission: 1, ior: 2.418, thickness: p.thickness,
+  specularIntensity: 1.0, color: new Color(p.color), dispersion: p.dispersion, transparent: true
+}), { roughness: 0.05, thickness: 4, color: 0xffffff, dispersion: 1.5 });
+
+registerMaterialPreset('glass', (p) => new MeshPhysicalMaterial({
+  metalness: 0, roughness: p.roughness, transmission: 1, ior: 1.5, thickness: p.thickness,
+  color: new Color(p.color), transparent: true
+}), { roughness: 0.02, thickness: 1, color: 0xffffff });
+
+registerMaterialPreset('chrome', (p) => new MeshPhysicalMaterial({
+  metalness: 1, roughness: p.roughness, color: new Color(p.color), envMapIntensity: p.envMapIntensity
+}), { roughness: 0.05, color: 0xffffff, envMapIntensity: 1.5 });
+
+registerMaterialPreset('iridescentMetal', (p) => new MeshPhysicalMaterial({
+  metalness: 1.0,
+  roughness: p.roughness,
+  color: new Color(p.color),
+  envMapIntensity: 1.35,
+  clearcoat: 0.5,
+  clearcoatRoughness: 0.25,
+  iridescence: p.iridescence,
+  iridescenceIOR: 1.3,
+  iridescenceThicknessRange: [60, 140]
+}), { roughness: 0.22, color: 0xb0b3b7, iridescence: 0.15 });
+
+registerMaterialPreset('neon', (p) => new MeshPhysicalMaterial({
+  metalness: 0, roughness: 0.4, color: new Color(0x000000),
+  emissive: new Color(p.color), emissiveIntensity: p.intensity
+}), { color: 0xff2bd6, intensity: 2.5 });
+
+registerMaterialPreset('hologram', (p) => new MeshPhysicalMaterial({
+  metalness: 0, roughness: 1, color: new Color(0x000000),
+  emissive: new Color(p.color), emissiveIntensity: p.intensity, wireframe: true,
+  transparent: true, opacity: p.opacity, depthWrite: false,
+  blending: p.additive ? AdditiveBlending : NormalBlending
+}), { color: 0x3de8ff, intensity: 1.2, opacity: 0.6, additive: true });
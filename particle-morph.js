@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+
+// --- GPU PARTICLE MORPH ---
+// The nebula morphs between two formations in the vertex shader. Formations are uploaded as
+// the aFrom/aTo attributes only when the pair changes; per frame only uniforms move.
+// uMorph chases the scroll progress with a time-based version of the old 0.07-per-frame lerp,
+// and when the pair changes the current shape is baked into `position` and uSettle eases it
+// into the new pair, so switching chapters never jumps.
+
+const MORPH_LERP_PER_FRAME = 0.07;
+const MORPH_RATE = -Math.log(1 - MORPH_LERP_PER_FRAME) * 60; // per second, matches 0.07 at 60fps
+
+const _morph = {
+  points: null,
+  from: null,
+  to: null,
+  rate: MORPH_RATE
+};
+
+export function createMorphParticles(initialPositions, {
+  vertexShader,
+  fragmentShader,
+  size = 0.1,
+  color = 0xffffff,
+  opacity = 1,
+  rate = MORPH_RATE,
+  uniforms = {}
+}) {
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(initialPositions), 3));
+  geo.setAttribute('aFrom', new THREE.BufferAttribute(new Float32Array(initialPositions), 3));
+  geo.setAttribute('aTo', new THREE.BufferAttribute(new Float32Array(initialPositions), 3));
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uMorph: { value: 0 },
+      uSettle: { value: 1 },
+      uSize: { value: size },
+      uScale: { value: window.innerHeight / 2 },
+      uColor: { value: new THREE.Color(color) },
+      uOpacity: { value: opacity },
+      ...uniforms
+    },
+    vertexShader,
+    fragmentShader,
+    blending: THREE.AdditiveBlending,
+    transparent: true
+  });
+
+  const points = new THREE.Points(geo, material);
+  points.frustumCulled = false; // the shader moves the particles, the CPU bounds are stale
+
+  _morph.points = points;
+  _morph.from = null;
+  _morph.to = null;
+  _morph.rate = rate;
+  return points;
+}
+
+// Where the particles currently are, as drawn by the shader.
+function bakeCurrentPositions() {
+  const geo = _morph.points.geometry;
+  const u = _morph.points.material.uniforms;
+  const pos = geo.attributes.position.array;
+  const from = geo.attributes.aFrom.array, to = geo.attributes.aTo.array;
+  const m = u.uMorph.value, s = u.uSettle.value;
+  for (let i = 0; i < pos.length; i++) {
+    const target = from[i] + (to[i] - from[i]) * m;
+    pos[i] += (target - pos[i]) * s;
+  }
+  geo.attributes.position.needsUpdate = true;
+}
+
+// Morphs towards mix(from, to, progress). `delta` is the frame time in seconds.
+export function updateMorphParticles(from, to, progress, delta) {
+  if (!_morph.points || !from || !to) return;
+  const geo = _morph.points.geometry;
+  const u = _morph.points.material.uniforms;
+
+  if (from !== _morph.from || to !== _morph.to) {
+    bakeCurrentPositions();
+    geo.attributes.aFrom.array.set(from);
+    geo.attributes.aTo.array.set(to);
+    geo.attributes.aFrom.needsUpdate = true;
+    geo.attributes.aTo.needsUpdate = true;
+    _morph.from = from;
+    _morph.to = to;
+    u.uMorph.value = progress;
+    u.uSettle.value = 0;
+  }
+
+  const k = 1 - Math.exp(-_morph.rate * delta);
+  u.uMorph.value += (progress - u.uMorph.value) * k;
+  u.uSettle.value += (1 - u.uSettle.value) * k;
+}
+
+// Point sizes are in drawing-buffer pixels, like PointsMaterial with sizeAttenuation.
+export function resizeMorphParticles(drawingBufferHeight) {
+  if (!_morph.points) return;
+  _morph.points.material.uniforms.uScale.value = drawingBufferHeight / 2;
+}
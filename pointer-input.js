@@ -0,0 +1,115 @@
+import { MathUtils, Spherical, Vector2, Vector3 } from 'three';
+import { setInteractionPoint } from './interaction-field.js';
+
+// --- POINTER & DEVICE INPUT ---
+// Feeds the interaction field from pointer events: the mouse acts while hovering, every
+// active touch or pen contact is its own interaction point. Touches end with pointercancel
+// as soon as the browser takes them over for scrolling, which releases the point.
+// Optionally, device orientation gently orbits the camera around its current target.
+
+const _input = {
+  bound: false,
+  ndc: new Vector2()
+};
+
+const _parallax = {
+  enabled: false,
+  listening: false,
+  maxAngle: 0.12,      // radians of orbit at full tilt
+  range: 30,           // degrees of tilt mapped to maxAngle
+  rate: 4,             // per second smoothing towards the tilt
+  baseline: null,      // { beta, gamma } of the first reading
+  target: new Vector2(), // x: yaw, y: pitch
+  current: new Vector2()
+};
+
+function toNDC(e) {
+  return _input.ndc.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
+}
+
+function pointerId(e) {
+  return e.pointerType === 'mouse' ? 'mouse' : `${e.pointerType}-${e.pointerId}`;
+}
+
+function onPointerMove(e) {
+  // Touch and pen only count while in contact; the mouse counts while hovering.
+  if (e.pointerType !== 'mouse' && e.buttons === 0) return;
+  setInteractionPoint(pointerId(e), toNDC(e));
+}
+
+function onPointerDown(e) {
+  setInteractionPoint(pointerId(e), toNDC(e));
+}
+
+function onPointerEnd(e) {
+  // A touch pointerdown is not a user activation on iOS; the pointerup ending a tap is.
+  if (e.type === 'pointerup' && _parallax.enabled && !_parallax.listening) requestDeviceOrientation();
+  if (e.pointerType === 'mouse' && e.type === 'pointerup') return; // still hovering
+  setInteractionPoint(pointerId(e), null);
+}
+
+export function bindPointerInput(target = window) {
+  if (_input.bound) return;
+  _input.bound = true;
+  target.addEventListener('pointermove', onPointerMove, { passive: true });
+  target.addEventListener('pointerdown', onPointerDown, { passive: true });
+  target.addEventListener('pointerup', onPointerEnd, { passive: true });
+  target.addEventListener('pointercancel', onPointerEnd, { passive: true });
+  document.documentElement.addEventListener('pointerleave', onPointerEnd, { passive: true });
+}
+
+// --- DEVICE ORIENTATION PARALLAX ---
+
+function onDeviceOrientation(e) {
+  if (e.beta == null || e.gamma == null) return;
+  if (!_parallax.baseline) _parallax.baseline = { beta: e.beta, gamma: e.gamma };
+  const { range, maxAngle, baseline } = _parallax;
+  _parallax.target.set(
+    MathUtils.clamp((e.gamma - baseline.gamma) / range, -1, 1) * maxAngle,
+    MathUtils.clamp((e.beta - baseline.beta) / range, -1, 1) * maxAngle
+  );
+}
+
+// iOS only grants orientation events after a permission prompt triggered by a user gesture,
+// so this is retried from the next pointerup (the end of a tap) when called too early.
+export async function requestDeviceOrientation() {
+  if (_parallax.listening || typeof DeviceOrientationEvent === 'undefined') return false;
+  if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+    try {
+      if (await DeviceOrientationEvent.requestPermission() !== 'granted') return false;
+    } catch (e) {
+      return false; // not called from a user gesture yet
+    }
+  }
+  window.addEventListener('deviceorientation', onDeviceOrientation, { passive: true });
+  _parallax.listening = true;
+  return true;
+}
+
+export function enableDeviceParallax(options = {}) {
+  Object.assign(_parallax, options, { enabled: true });
+  requestDeviceOrientation();
+}
+
+export function disableDeviceParallax() {
+  _parallax.enabled = false;
+  _parallax.baseline = null;
+  _parallax.target.set(0, 0);
+}
+
+const _zero = new Vector2();
+const _offset = new Vector3();
+const _spherical = new Spherical();
+
+// Orbits `camera` around `target` by the smoothed device tilt. Call after placing the camera.
+export function applyDeviceParallax(camera, target, delta) {
+  const p = _parallax;
+  p.current.lerp(p.enabled ? p.target : _zero, 1 - Math.exp(-p.rate * delta));
+  if (Math.abs(p.current.x) < 1e-5 && Math.abs(p.current.y) < 1e-5) return;
+
+  _spherical.setFromVector3(_offset.subVectors(camera.position, target));
+  _spherical.theta += p.current.x;
+  _spherical.phi = MathUtils.clamp(_spherical.phi + p.current.y, 0.01, Math.PI - 0.01);
+  camera.position.copy(target).add(_offset.setFromSpherical(_spherical));
+  camera.lookAt(target);
+}
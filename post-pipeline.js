@@ -0,0 +1,225 @@
+import { ShaderMaterial, Vector2 } from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { FilmPass } from 'three/addons/postprocessing/FilmPass.js';
+import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
+import { LUTPass } from 'three/addons/postprocessing/LUTPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { LUTCubeLoader } from 'three/addons/loaders/LUTCubeLoader.js';
+import { RGBShiftShader } from 'three/addons/shaders/RGBShiftShader.js';
+import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
+import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
+import { renderSelectiveBloom } from './selective-bloom.js';
+
+// --- POST-PROCESSING PIPELINE ---
+// Builds the composer chain from a config list. Passes run in config order after the scene
+// render pass; each entry is { name, type, enabled = true, options }:
+//   bloom               strength, radius, threshold, selective, vertexShader, fragmentShader
+//                       (renders a separate bloom composer and adds it back with the combine shader)
+//   filmGrain           intensity, grayscale
+//   chromaticAberration amount, angle
+//   vignette            offset, darkness
+//   exposure            exposure (multiplies the linear colors; no tone mapping or color
+//                       space conversion, so 1 leaves the image as it is)
+//   fxaa / smaa         (no options)
+//   lut                 url (.cube file) or texture, intensity
+//   output              (no options) applies renderer.toneMapping/toneMappingExposure and
+//                       the output color space; put it before anti-aliasing (fxaa / smaa),
+//                       whose edge detection expects tone-mapped, display-referred colors
+// New types can be added with registerPassType(type, factory), where
+// factory(context, options) returns { pass, composer?, beforeRender?, setSize? }.
+
+const _types = new Map();
+
+const _pipeline = {
+  renderer: null,
+  composer: null,
+  entries: [], // { name, type, enabled, pass, composer, beforeRender, setSize, ready }
+  width: 0,
+  height: 0
+};
+
+export function registerPassType(type, factory) {
+  _types.set(type, factory);
+}
+
+export function buildPostPipeline(renderer, scene, camera, { passes = [] } = {}) {
+  const width = window.innerWidth, height = window.innerHeight;
+  const composer = new EffectComposer(renderer);
+  composer.addPass(new RenderPass(scene, camera));
+
+  _pipeline.renderer = renderer;
+  _pipeline.composer = composer;
+  _pipeline.entries = [];
+  _pipeline.width = width;
+  _pipeline.height = height;
+
+  const context = { renderer, scene, camera, width, height, pixelRatio: renderer.getPixelRatio() };
+  for (const config of passes) {
+    const factory = _types.get(config.type);
+    if (!factory) {
+      console.warn('[PostPipeline] Unknown pass type:', config.type);
+      continue;
+    }
+    const entry = factory(context, config.options || {});
+    if (entry.ready === undefined) entry.ready = true;
+    entry.name = config.name || config.type;
+    entry.type = config.type;
+    entry.enabled = config.enabled !== false;
+    entry.pass.enabled = entry.enabled && entry.ready;
+    composer.addPass(entry.pass);
+    _pipeline.entries.push(entry);
+  }
+  return composer;
+}
+
+export function getPostPass(name) {
+  return _pipeline.entries.find(e => e.name === name) || null;
+}
+
+export function setPostPassEnabled(name, enabled) {
+  const entry = getPostPass(name);
+  if (!entry) { console.warn('[PostPipeline] No pass named', name); return; }
+  entry.enabled = enabled;
+  entry.pass.enabled = enabled && entry.ready;
+}
+
+export function renderPostPipeline(deltaTime) {
+  if (!_pipeline.composer) return;
+  for (const entry of _pipeline.entries) {
+    if (entry.pass.enabled && entry.beforeRender) entry.beforeRender(deltaTime);
+  }
+  _pipeline.composer.render(deltaTime);
+}
+
+// Resizes the main composer, every side composer and every pass with resolution uniforms.
+export function resizePostPipeline(width, height) {
+  if (!_pipeline.composer) return;
+  _pipeline.width = width;
+  _pipeline.height = height;
+  const pixelRatio = _pipeline.renderer.getPixelRatio();
+  _pipeline.composer.setPixelRatio(pixelRatio);
+  _pipeline.composer.setSize(width, height);
+  for (const entry of _pipeline.entries) {
+    if (entry.composer) {
+      entry.composer.setPixelRatio(pixelRatio);
+      entry.composer.setSize(width, height);
+    }
+    if (entry.setSize) entry.setSize(width, height, pixelRatio);
+  }
+}
+
+// --- BUILT-IN PASS TYPES ---
+
+registerPassType('bloom', ({ renderer, scene, camera, width, height }, {
+  strength = 1.5,
+  radius = 0.8,
+  threshold = 0.85,
+  selective = true,
+  vertexShader,
+  fragmentShader
+}) => {
+  // Renders the scene (only BLOOM_LAYER objects when selective), then applies the bloom.
+  const bloomComposer = new EffectComposer(renderer);
+  bloomComposer.renderToScreen = false;
+  const bloomPass = new UnrealBloomPass(new Vector2(width, height), strength, radius, threshold);
+  bloomComposer.addPass(new RenderPass(scene, camera));
+  bloomComposer.addPass(bloomPass);
+
+  // Combines the main chain with the bloom texture.
+  const pass = new ShaderPass(
+    new ShaderMaterial({
+      uniforms: {
+        baseTexture: { value: null },
+        bloomTexture: { value: bloomComposer.renderTarget2.texture }
+      },
+      vertexShader,
+      fragmentShader,
+      defines: {}
+    }), 'baseTexture'
+  );
+  pass.needsSwap = true;
+
+  return {
+    pass,
+    bloomPass,
+    composer: bloomComposer,
+    beforeRender() {
+      if (selective) renderSelectiveBloom(scene, bloomComposer);
+      else bloomComposer.render();
+    }
+  };
+});
+
+registerPassType('filmGrain', (context, { intensity = 0.35, grayscale = false }) => ({
+  pass: new FilmPass(intensity, grayscale)
+}));
+
+registerPassType('chromaticAberration', (context, { amount = 0.0015, angle = 0 }) => {
+  const pass = new ShaderPass(RGBShiftShader);
+  pass.uniforms.amount.value = amount;
+  pass.uniforms.angle.value = angle;
+  return { pass };
+});
+
+registerPassType('vignette', (context, { offset = 1.0, darkness = 1.2 }) => {
+  const pass = new ShaderPass(VignetteShader);
+  pass.uniforms.offset.value = offset;
+  pass.uniforms.darkness.value = darkness;
+  return { pass };
+});
+
+const ExposureShader = {
+  uniforms: { tDiffuse: { value: null }, exposure: { value: 1 } },
+  vertexShader: 'varying vec2 vUv; void main() { vUv = uv; gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0); }',
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform float exposure;
+    varying vec2 vUv;
+    void main() { vec4 color = texture2D(tDiffuse, vUv); gl_FragColor = vec4(color.rgb * exposure, color.a); }`
+};
+
+registerPassType('exposure', (context, { exposure = 1 }) => {
+  const pass = new ShaderPass(ExposureShader);
+  pass.uniforms.exposure.value = exposure;
+  return { pass };
+});
+
+registerPassType('fxaa', ({ width, height, pixelRatio }) => {
+  const pass = new ShaderPass(FXAAShader);
+  const setSize = (w, h, dpr) => pass.uniforms.resolution.value.set(1 / (w * dpr), 1 / (h * dpr));
+  setSize(width, height, pixelRatio);
+  return { pass, setSize };
+});
+
+registerPassType('smaa', ({ width, height, pixelRatio }) => ({
+  pass: new SMAAPass(width * pixelRatio, height * pixelRatio)
+}));
+
+registerPassType('output', () => ({
+  pass: new OutputPass()
+}));
+
+// Color grading with a 3D LUT; stays disabled until a LUT is set. entry.setLUT() takes a
+// texture or the url of a .cube file.
+registerPassType('lut', (context, { url = null, texture = null, intensity = 1 }) => {
+  const pass = new LUTPass({ intensity });
+  const entry = {
+    pass,
+    ready: false,
+    setLUT(lut) {
+      if (typeof lut === 'string') {
+        new LUTCubeLoader().load(lut, (result) => entry.setLUT(result.texture3D), undefined,
+          (err) => console.warn('[PostPipeline] LUT failed to load:', lut, err));
+        return;
+      }
+      pass.lut = lut;
+      entry.ready = !!lut;
+      pass.enabled = !!entry.enabled && entry.ready;
+    }
+  };
+  if (texture || url) entry.setLUT(texture || url);
+  return entry;
+});
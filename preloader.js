@@ -0,0 +1,28 @@
+// --- PRELOADER ---
+// Drives the #preloader overlay from the asset events (see asset-loader.js) and fades it out
+// once the scene can be shown.
+
+export function bindPreloader(selector = '#preloader') {
+  const el = document.querySelector(selector);
+  if (!el) return { hide() {} };
+  const fill = el.querySelector('.preloader-fill');
+  const label = el.querySelector('.preloader-label');
+
+  const onProgress = (e) => {
+    const percent = Math.round(e.detail.progress * 100);
+    if (fill) fill.style.transform = `scaleX(${e.detail.progress})`;
+    if (label) label.textContent = `${percent}%`;
+    el.setAttribute('aria-valuenow', String(percent));
+  };
+  window.addEventListener('assets:progress', onProgress);
+
+  return {
+    // Fades the overlay out and removes it once the transition has ended.
+    hide() {
+      window.removeEventListener('assets:progress', onProgress);
+      el.classList.add('preloader--done');
+      el.addEventListener('transitionend', () => el.remove(), { once: true });
+      setTimeout(() => el.remove(), 1500); // in case transitions are disabled
+    }
+  };
+}
@@ -0,0 +1,123 @@
+import { clamp01 } from './easing.js';
+
+// --- SCROLL CHAPTERS ---
+// Drives the scroll story from the content sections rather than the document scroll ratio.
+// Each section is one chapter and declares its look through data attributes:
+//   data-formation="belt"
+//   data-formation-params='{"turns": 4}'  (JSON, passed to the formation generator)
+//   data-camera="14 -3 8"  data-camera-target="0 0 0"
+//   data-crystal-opacity="0"
+//   data-bloom-strength="2" data-bloom-radius="1" data-bloom-threshold="0"
+//   data-exposure="1.25" (main image exposure, 1 = unchanged)
+//   data-environment="venice"  data-environment-intensity="1"  data-environment-rotation="90" (degrees)
+//   data-ease="smoothstep"  (easing of the transition towards the next chapter)
+// A chapter is reached when the top of its section crosses the anchor line (by default
+// the bottom edge of the viewport), so reordering or resizing sections moves the story with them.
+
+const _chapters = {
+  sections: [],
+  anchor: 1,
+  progress: 0,
+  onChange: null
+};
+
+function parseVector(value) {
+  if (value == null) return undefined;
+  const v = value.trim().split(/[\s,]+/).map(Number);
+  if (v.length !== 3 || v.some(Number.isNaN)) {
+    console.warn('[ScrollChapters] Expected "x y z", got:', value);
+    return undefined;
+  }
+  return v;
+}
+
+function parseJSON(value) {
+  if (value == null) return undefined;
+  try { return JSON.parse(value); } catch (e) {
+    console.warn('[ScrollChapters] Invalid JSON in data attribute:', value);
+    return undefined;
+  }
+}
+
+function parseNumber(value) {
+  if (value == null) return undefined;
+  const n = parseFloat(value);
+  return Number.isNaN(n) ? undefined : n;
+}
+
+// Builds scroll-timeline keyframes from the data attributes of `sections`, spread evenly over 0..1.
+export function keyframesFromSections(sections) {
+  const last = Math.max(1, sections.length - 1);
+  return Array.from(sections, (el, i) => {
+    const d = el.dataset;
+    const kf = { at: i / last };
+    if (d.formation) {
+      const params = parseJSON(d.formationParams);
+      kf.formation = params ? { name: d.formation, params } : d.formation;
+    }
+    const position = parseVector(d.camera);
+    if (position) kf.camera = { position, target: parseVector(d.cameraTarget) || [0, 0, 0] };
+    const crystalOpacity = parseNumber(d.crystalOpacity);
+    if (crystalOpacity !== undefined) kf.crystalOpacity = crystalOpacity;
+    const exposure = parseNumber(d.exposure);
+    if (exposure !== undefined) kf.exposure = exposure;
+    const bloom = {
+      strength: parseNumber(d.bloomStrength),
+      radius: parseNumber(d.bloomRadius),
+      threshold: parseNumber(d.bloomThreshold)
+    };
+    if (Object.values(bloom).some(v => v !== undefined)) kf.bloom = bloom;
+    if (d.environment) kf.environment = d.environment;
+    const environmentIntensity = parseNumber(d.environmentIntensity);
+    if (environmentIntensity !== undefined) kf.environmentIntensity = environmentIntensity;
+    const environmentRotation = parseNumber(d.environmentRotation);
+    if (environmentRotation !== undefined) kf.environmentRotation = environmentRotation * Math.PI / 180;
+    if (d.ease) kf.ease = d.ease;
+    return kf;
+  });
+}
+
+function measure() {
+  const sections = _chapters.sections;
+  if (sections.length < 2) { _chapters.progress = 0; return; }
+
+  const line = window.innerHeight * _chapters.anchor;
+  const tops = sections.map(el => el.getBoundingClientRect().top);
+  let position = 0;
+  for (let i = 0; i < tops.length - 1; i++) {
+    if (line < tops[i + 1]) {
+      position = i + clamp01((line - tops[i]) / Math.max(1, tops[i + 1] - tops[i]));
+      break;
+    }
+    position = i + 1;
+  }
+
+  const progress = position / (sections.length - 1);
+  if (progress !== _chapters.progress) {
+    _chapters.progress = progress;
+    if (_chapters.onChange) _chapters.onChange(progress);
+  }
+}
+
+// Tracks the sections matching `selector` and returns the keyframes they declare.
+export function bindScrollChapters(selector = 'main > section.content', { anchor = 1, onChange = null } = {}) {
+  _chapters.sections = Array.from(document.querySelectorAll(selector));
+  _chapters.anchor = anchor;
+  _chapters.onChange = onChange;
+
+  if (!_chapters.sections.length) console.warn('[ScrollChapters] No sections match', selector);
+
+  if (!window.__scrollChaptersBound) {
+    window.__scrollChaptersBound = true;
+    window.addEventListener('scroll', measure, { passive: true });
+    window.addEventListener('resize', measure, { passive: true });
+  }
+  measure();
+
+  return keyframesFromSections(_chapters.sections);
+}
+
+// Story progress (0..1) across the bound chapters.
+export function getChapterProgress() {
+  return _chapters.progress;
+}
@@ -0,0 +1,114 @@
+import { Vector3 } from 'three';
+import { clamp01, getEasing } from './easing.js';
+
+// --- SCROLL TIMELINE ---
+// Keyframes describe the scroll story. Each keyframe sits at a scroll position `at` (0..1)
+// and may declare any of:
+//   camera:         { position: [x, y, z], target: [x, y, z] }
+//   formation:      name of a particle formation, or { name, params }
+//   crystalOpacity: 0..1
+//   bloom:          { strength, radius, threshold }
+//   exposure:       main image exposure (post-pipeline 'exposure' pass), 1 = unchanged
+//   environment:    name of a registered environment (see environment.js)
+//   environmentIntensity, environmentRotation (radians about Y)
+//   ease:           'linear' | 'smoothstep' | 'cubic' (or a function) for the segment that
+//                   starts at this keyframe
+// Every property is interpolated only between the keyframes that declare it, so a keyframe
+// can e.g. fade the crystal without pinning the camera.
+
+const _timeline = {
+  keyframes: []
+};
+
+const _sample = {
+  cameraPosition: new Vector3(),
+  cameraTarget: new Vector3(),
+  formationFrom: null,
+  formationTo: null,
+  formationProgress: 0,
+  crystalOpacity: 1,
+  exposure: 1,
+  environmentFrom: null,
+  environmentTo: null,
+  environmentProgress: 0,
+  environmentIntensity: 1,
+  environmentRotation: 0,
+  bloom: { strength: 0, radius: 0, threshold: 0 }
+};
+const _v = new Vector3();
+
+function toVector3(v, out) {
+  if (Array.isArray(v)) return out.fromArray(v);
+  return out.copy(v);
+}
+
+// Finds the keyframes around `progress` that declare `key` and returns the eased blend factor.
+function segmentFor(key, progress) {
+  const frames = _timeline.keyframes;
+  let from = null, to = null;
+  for (let i = 0; i < frames.length; i++) {
+    if (frames[i][key] === undefined) continue;
+    if (frames[i].at <= progress) from = frames[i];
+    else { to = frames[i]; break; }
+  }
+  if (!from && !to) return null;
+  if (!from) return { from: to, to, t: 0 };
+  if (!to) return { from, to: from, t: 0 };
+  const t = (progress - from.at) / Math.max(1e-6, to.at - from.at);
+  return { from, to, t: getEasing(from.ease)(t) };
+}
+
+export function setScrollKeyframes(keyframes = []) {
+  _timeline.keyframes = keyframes.slice().sort((a, b) => a.at - b.at);
+}
+
+export function addScrollKeyframe(keyframe) {
+  setScrollKeyframes([..._timeline.keyframes, keyframe]);
+}
+
+export function getScrollKeyframes() {
+  return _timeline.keyframes;
+}
+
+// Samples the timeline at `progress`. The returned object is reused between calls.
+export function sampleScrollTimeline(progress) {
+  const p = clamp01(progress);
+
+  const cam = segmentFor('camera', p);
+  if (cam) {
+    toVector3(cam.from.camera.position, _sample.cameraPosition)
+      .lerp(toVector3(cam.to.camera.position, _v), cam.t);
+    toVector3(cam.from.camera.target || [0, 0, 0], _sample.cameraTarget)
+      .lerp(toVector3(cam.to.camera.target || [0, 0, 0], _v), cam.t);
+  }
+
+  const formation = segmentFor('formation', p);
+  if (formation) {
+    _sample.formationFrom = formation.from.formation;
+    _sample.formationTo = formation.to.formation;
+    _sample.formationProgress = formation.t;
+  }
+
+  const environment = segmentFor('environment', p);
+  if (environment) {
+    _sample.environmentFrom = environment.from.environment;
+    _sample.environmentTo = environment.to.environment;
+    _sample.environmentProgress = environment.t;
+  }
+
+  for (const key of ['crystalOpacity', 'exposure', 'environmentIntensity', 'environmentRotation']) {
+    const seg = segmentFor(key, p);
+    if (seg) _sample[key] = seg.from[key] + (seg.to[key] - seg.from[key]) * seg.t;
+  }
+
+  const bloom = segmentFor('bloom', p);
+  if (bloom) {
+    for (const k of ['strength', 'radius', 'threshold']) {
+      const a = bloom.from.bloom[k] ?? _sample.bloom[k];
+      const b = bloom.to.bloom[k] ?? a;
+      _sample.bloom[k] = a + (b - a) * bloom.t;
+    }
+  }
+
+  return _sample;
+}
@@ -0,0 +1,71 @@
+import { Layers, MeshBasicMaterial } from 'three';
+
+// --- SELECTIVE BLOOM ---
+// Only objects on BLOOM_LAYER glow. While the bloom composer renders, every other mesh is
+// drawn black (so it still hides glowing objects behind it) and other points/lines/sprites
+// are hidden; everything is restored before the final composer draws the normal scene.
+
+export const BLOOM_LAYER = 1;
+
+const _bloomLayer = new Layers();
+_bloomLayer.set(BLOOM_LAYER);
+
+const _darkMaterials = new WeakMap(); // source material -> black stand-in
+const _saved = new Map();             // object -> material, or null when it was hidden
+
+// Opts `object` and its descendants in or out of the bloom pass.
+export function setBloomEnabled(object, enabled = true) {
+  object.traverse(n => {
+    if (enabled) n.layers.enable(BLOOM_LAYER);
+    else n.layers.disable(BLOOM_LAYER);
+  });
+}
+
+export function isBloomEnabled(object) {
+  return _bloomLayer.test(object.layers);
+}
+
+function darkMaterialFor(material) {
+  let dark = _darkMaterials.get(material);
+  if (!dark) {
+    dark = new MeshBasicMaterial({ color: 0x000000 });
+    _darkMaterials.set(material, dark);
+  }
+  // Keep faded objects from blocking more glow than they hide in the final image.
+  dark.transparent = material.transparent;
+  dark.opacity = material.opacity;
+  dark.side = material.side;
+  return dark;
+}
+
+function darken(n) {
+  if (!n.visible || _bloomLayer.test(n.layers)) return;
+  if (n.isMesh) {
+    _saved.set(n, n.material);
+    n.material = Array.isArray(n.material) ? n.material.map(darkMaterialFor) : darkMaterialFor(n.material);
+  } else if (n.isPoints || n.isLine || n.isSprite) {
+    _saved.set(n, null);
+    n.visible = false;
+  }
+}
+
+function restore() {
+  for (const [n, material] of _saved) {
+    if (material) n.material = material;
+    else n.visible = true;
+  }
+  _saved.clear();
+}
+
+// Renders `bloomComposer` with only the BLOOM_LAYER objects lit.
+export function renderSelectiveBloom(scene, bloomComposer) {
+  const background = scene.background;
+  scene.background = null;
+  scene.traverse(darken);
+  try {
+    bloomComposer.render();
+  } finally {
+    restore();
+    scene.background = background;
+  }
+}
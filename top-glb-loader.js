@@ -1,12 +1,28 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { clamp01, getEasing, smoothstep } from './easing.js';
+import { applyMaterialPreset } from './material-presets.js';
+import { bindEnvironment, rebuildEnvironment } from './environment.js';
+import { isContextLost, refreshMaterials, watchContextLoss } from './context-loss.js';
+
+// --- TOP GLB MODULE ---
+// Manages the separate GLB model that appears in the header. Rendering strategies
+// (see topGLBUseHeaderCanvas):
+//   'inline'  - own canvas prepended inside the header element (#header-canvas), behind its text
+//   'overlay' - own fixed canvas on top of the page, positioned over the header rect
+//   'shared'  - no extra WebGL context: drawn by the main renderer into the header rect with
+//               viewport/scissor, after the main scene (so it sits below the header's own
+//               background, see header.header--shared-model in style.css)
 
 const TOP_GLB_URL = './voidaniumTOP.glb';
 
 const _topGLB = {
   object: null,
   mixer: null,
+  clips: [],
+  current: null, // action last started with playTopGLBClip / crossfadeTopGLBClip
+  scrub: null,   // { action, start, end } while a clip follows the scroll progress
   ready: false,
   opacity: 0
 };
@@ -15,9 +31,6 @@ let _scrollProgress = 0;
 let _getScrollProgress = () => _scrollProgress; // override via setTopGLBScrollProgressGetter
 const _clockForTop = new THREE.Clock();
 
-function clamp01(x){ return Math.min(1, Math.max(0, x)); }
-function smoothstep(t) { t = clamp01(t); return t * t * (3 - 2 * t); }
-
 function attachInternalScrollIfNeeded() {
   if (window.__topGLBScrollBound) return;
   window.__topGLBScrollBound = true;
@@ -29,27 +42,31 @@ function attachInternalScrollIfNeeded() {
   }, { passive: true });
 }
 
-function setOpacity(obj, opacity) {
+function forEachMaterial(obj, fn) {
   if (!obj) return;
   obj.traverse((n) => {
     if ((n.isMesh || n.isPoints) && n.material) {
       const mats = Array.isArray(n.material) ? n.material : [n.material];
-      mats.forEach((m) => {
-        m.transparent = true;
-        m.opacity = opacity;
-        m.needsUpdate = true;
-      });
+      mats.forEach(fn);
     }
   });
 }
 
+function setOpacity(obj, opacity) {
+  forEachMaterial(obj, (m) => {
+    if (!m.transparent) { m.transparent = true; m.needsUpdate = true; }
+    m.opacity = opacity;
+  });
+}
+
 export function setTopGLBScrollProgressGetter(fn) {
   if (typeof fn === 'function') _getScrollProgress = fn;
 }
 
-export async function loadTopGLB(sceneIgnored, cameraIgnored, opts = {}) {
+export async function loadTopGLB(mainScene, mainCamera, opts = {}) {
   const {
     url = TOP_GLB_URL,
+    gltf: preloaded = null, // an already loaded gltf (e.g. from asset-loader.js) instead of url
     useDraco = false,
     initialScale = 1,
     playAnimations = true
@@ -57,35 +74,33 @@ export async function loadTopGLB(sceneIgnored, cameraIgnored, opts = {}) {
 
   attachInternalScrollIfNeeded();
 
-  const loader = new GLTFLoader();
-  if (useDraco) {
-    const draco = new DRACOLoader();
-    draco.setDecoderPath('https://www.gstatic.com/draco/v1/decoders/');
-    loader.setDRACOLoader(draco);
+  let gltf = preloaded;
+  if (!gltf) {
+    const loader = new GLTFLoader();
+    if (useDraco) {
+      const draco = new DRACOLoader();
+      draco.setDecoderPath('https://www.gstatic.com/draco/v1/decoders/');
+      loader.setDRACOLoader(draco);
+    }
+    gltf = await loader.loadAsync(url);
   }
-
-  const gltf = await loader.loadAsync(url);
   const obj = gltf.scene || gltf.scenes?.[0];
   if (!obj) throw new Error('[TopGLB] GLB has no scene');
 
   obj.scale.setScalar(initialScale);
 
-  // Make fade-able
-  obj.traverse(c => {
-    if ((c.isMesh || c.isPoints) && c.material) {
-      const mats = Array.isArray(c.material) ? c.material : [c.material];
-      mats.forEach((m) => { m.transparent = true; m.depthWrite = false; m.opacity = 0; });
-    }
-  });
-
-  let mixer = null;
-  if (playAnimations && gltf.animations && gltf.animations.length) {
-    mixer = new THREE.AnimationMixer(obj);
-    gltf.animations.forEach((clip) => mixer.clipAction(clip).play());
-  }
+  // playAnimations: true plays every clip, a clip name plays just that one, false plays none.
+  const clips = gltf.animations || [];
+  const mixer = clips.length ? new THREE.AnimationMixer(obj) : null;
 
   _topGLB.object = obj;
   _topGLB.mixer = mixer;
+  _topGLB.clips = clips;
+  _topGLB.current = null;
+  _topGLB.scrub = null;
+
+  if (playAnimations === true) clips.forEach((clip) => mixer.clipAction(clip).play());
+  else if (typeof playAnimations === 'string') playTopGLBClip(playAnimations);
   _topGLB.ready = true;
   _topGLB.opacity = 0;
 
@@ -103,6 +118,8 @@ export function updateTopGLB(options = {}) {
   } = options;
 
   const sp = clamp01(_getScrollProgress());
+  _transforms.fadeRange.start = showAt;
+  _transforms.fadeRange.end = fullAt;
   let t = 0;
   if (sp <= showAt) t = 0;
   else if (sp >= fullAt) t = 1;
@@ -112,15 +129,83 @@ export function updateTopGLB(options = {}) {
   const targetOpacity = eased;
 
   _topGLB.opacity += (targetOpacity - _topGLB.opacity) * Math.min(1, delta * lerpSpeed);
-  setOpacity(_topGLB.object, _topGLB.opacity);
+  if (_headerCanvas.fade === 'canvas') {
+    if (_headerCanvas.canvas) _headerCanvas.canvas.style.opacity = String(_topGLB.opacity);
+  } else {
+    setOpacity(_topGLB.object, _topGLB.opacity);
+  }
+  _topGLB.object.visible = _topGLB.opacity > 0.001;
+
+  if (_topGLB.scrub) {
+    const { action, start, end } = _topGLB.scrub;
+    const t = clamp01((sp - start) / Math.max(1e-6, end - start));
+    action.time = t * action.getClip().duration;
+    _topGLB.mixer.update(0);
+  } else if (_topGLB.mixer) {
+    _topGLB.mixer.update(delta);
+  }
+}
+
+/* --- Animation clips --- */
 
-  if (_topGLB.mixer) _topGLB.mixer.update(delta);
+function clipAction(name) {
+  const clip = THREE.AnimationClip.findByName(_topGLB.clips, name);
+  if (!clip) {
+    console.warn('[TopGLB] No animation clip named', name);
+    return null;
+  }
+  return _topGLB.mixer.clipAction(clip);
+}
+
+export function listTopGLBClips() {
+  return _topGLB.clips.map((clip) => ({ name: clip.name, duration: clip.duration }));
+}
+
+// Plays a clip on its own, stopping every other clip.
+export function playTopGLBClip(name, { loop = THREE.LoopRepeat, timeScale = 1 } = {}) {
+  const action = _topGLB.mixer && clipAction(name);
+  if (!action) return null;
+  _topGLB.mixer.stopAllAction();
+  _topGLB.scrub = null;
+  action.reset().setLoop(loop, Infinity).setEffectiveTimeScale(timeScale).play();
+  _topGLB.current = action;
+  return action;
+}
+
+// Fades from the current clip to `name` over `duration` seconds.
+export function crossfadeTopGLBClip(name, duration = 0.5, { loop = THREE.LoopRepeat } = {}) {
+  const action = _topGLB.mixer && clipAction(name);
+  if (!action) return null;
+  if (!_topGLB.current || _topGLB.current === action) return playTopGLBClip(name, { loop });
+  _topGLB.scrub = null;
+  action.reset().setLoop(loop, Infinity).setEffectiveWeight(1).play();
+  _topGLB.current.crossFadeTo(action, duration, false);
+  _topGLB.current = action;
+  return action;
+}
+
+// Drives clip `name` by the scroll progress between `start` and `end` instead of wall-clock
+// time. Pass null to go back to normal playback.
+export function scrubTopGLBClipByScroll(name, { start = 0, end = 1 } = {}) {
+  if (name == null) {
+    if (_topGLB.scrub) _topGLB.scrub.action.paused = false;
+    _topGLB.scrub = null;
+    return null;
+  }
+  const action = playTopGLBClip(name, { loop: THREE.LoopOnce });
+  if (!action) return null;
+  action.clampWhenFinished = true;
+  action.paused = true; // time is set directly from the scroll progress
+  _topGLB.scrub = { action, start, end };
+  return action;
 }
 
-/* --- Header Canvas Overlay (separate transparent canvas above DOM header) --- */
+/* --- Header Canvas (inline in the header, or a fixed overlay above it) --- */
 
 const _headerCanvas = {
   enabled: false,
+  strategy: 'overlay',
+  fade: 'material',
   renderer: null,
   scene: null,
   camera: null,
@@ -129,34 +214,80 @@ const _headerCanvas = {
   headerEl: null,
   fit: 'height',
   fitAmount: 0.9,
+  pixelHeight: 48,
+  align: 'center',
+  valign: 'middle',
+  alignTo: null,
+  gap: 0,
+  padding: { top: 0, right: 0, bottom: 0, left: 0 },
   offsetX: 0,
   offsetY: 0,
   zIndex: 2147483647,
   DPR: Math.min(window.devicePixelRatio || 1, 2),
-  needsLayout: true
+  rect: null,           // header rect from the last layout
+  viewport: new THREE.Vector4(), // shared strategy: where the header sits in the main canvas
+  layout: { scale: 1, position: new THREE.Vector3(), unitsPerPx: 1 }, // pivot at rest
+  logo: { x: 0, y: 0, radius: 0 }, // model center and bounding radius on screen, in client px
+  needsLayout: true,
+  bounds: null,         // cached model bounds, see modelBounds()
+  resizeObserver: null,
+  tracksScroll: false   // only when the header can move on scroll and the canvas follows it
 };
 
-function _initHeaderCanvas(envMap) {
-  const renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true, premultipliedAlpha: true });
-  renderer.setPixelRatio(_headerCanvas.DPR);
+function _initHeaderCanvas(options) {
+  const { strategy, envMap, lights, camera: cameraType } = options;
+  let renderer, canvas = null;
+  if (strategy === 'shared') {
+    renderer = options.renderer;
+    _headerCanvas.headerEl.classList.add('header--shared-model');
+  } else {
+    renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true, premultipliedAlpha: true });
+    renderer.setPixelRatio(_headerCanvas.DPR);
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    canvas = renderer.domElement;
+    canvas.classList.add('header-model-canvas'); // hidden by the static fallback (style.css)
+    // Rendering skips while the context is gone (see renderTopGLBHeaderCanvas).
+    watchContextLoss(renderer, {
+      onRestored() {
+        rebuildEnvironment(renderer);
+        refreshMaterials(_headerCanvas.scene);
+        _headerCanvas.needsLayout = true;
+      }
+    });
+  }
 
-  const canvas = renderer.domElement;
-  canvas.style.position = 'fixed';
-  canvas.style.left = '0';
-  canvas.style.top = '0';
-  canvas.style.pointerEvents = 'none';
-  canvas.style.zIndex = String(_headerCanvas.zIndex);
-  document.body.appendChild(canvas);
+  if (strategy === 'inline') {
+    // Positioned by the #header-canvas rule in style.css.
+    canvas.id = 'header-canvas';
+    _headerCanvas.headerEl.prepend(canvas);
+  } else if (strategy === 'overlay') {
+    canvas.style.position = 'fixed';
+    canvas.style.left = '0';
+    canvas.style.top = '0';
+    canvas.style.pointerEvents = 'none';
+    canvas.style.zIndex = String(_headerCanvas.zIndex);
+    document.body.appendChild(canvas);
+  }
 
   const scene = new THREE.Scene();
+  // Without a fixed envMap the header follows the environment manager (environment.js).
   if (envMap) scene.environment = envMap;
-  scene.add(new THREE.AmbientLight(0xffffff, 0.9));
-  const dir = new THREE.DirectionalLight(0xffffff, 0.9);
-  dir.position.set(0, 1, 1);
-  scene.add(dir);
+  else bindEnvironment(scene, renderer);
+  if (lights) {
+    scene.add(new THREE.AmbientLight(0xffffff, 0.9));
+    const dir = new THREE.DirectionalLight(0xffffff, 0.9);
+    dir.position.set(0, 1, 1);
+    scene.add(dir);
+  }
 
-  const cam = new THREE.OrthographicCamera(-1, 1, 1, -1, -1000, 1000);
-  cam.position.set(0, 0, 10);
+  let cam;
+  if (cameraType === 'perspective') {
+    cam = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+    cam.position.set(0, 0, 5);
+  } else {
+    cam = new THREE.OrthographicCamera(-1, 1, 1, -1, -1000, 1000);
+    cam.position.set(0, 0, 10);
+  }
 
   const pivot = new THREE.Group();
   scene.add(pivot);
@@ -168,32 +299,107 @@ function _initHeaderCanvas(envMap) {
   _headerCanvas.pivot = pivot;
 
   window.addEventListener('resize', () => (_headerCanvas.needsLayout = true), { passive: true });
-  window.addEventListener('scroll', () => (_headerCanvas.needsLayout = true), { passive: true });
+  window.addEventListener('scroll', () => {
+    if (_headerCanvas.tracksScroll) _headerCanvas.needsLayout = true;
+  }, { passive: true });
+  if (typeof ResizeObserver !== 'undefined') {
+    _headerCanvas.resizeObserver = new ResizeObserver(() => (_headerCanvas.needsLayout = true));
+  }
+}
+
+// Re-lays out when the header or the alignTo element change size. Position only changes on
+// scroll for an overlay over a header that is not fixed or sticky.
+function observeLayoutElements() {
+  const hc = _headerCanvas;
+  const position = getComputedStyle(hc.headerEl).position;
+  hc.tracksScroll = hc.strategy !== 'inline' && position !== 'fixed' && position !== 'sticky';
+  if (!hc.resizeObserver) {
+    hc.tracksScroll = true; // no ResizeObserver: fall back to re-measuring on scroll too
+    return;
+  }
+  hc.resizeObserver.disconnect();
+  hc.resizeObserver.observe(hc.headerEl);
+  if (hc.alignTo) hc.resizeObserver.observe(hc.alignTo);
+}
+
+// Forces the next updateTopGLBHeaderCanvasLayout() to re-measure, e.g. after editing the model.
+export function invalidateTopGLBLayout({ bounds = true } = {}) {
+  if (bounds) _headerCanvas.bounds = null;
+  _headerCanvas.needsLayout = true;
 }
 
+function resolveElement(headerSelectorOrEl) {
+  if (headerSelectorOrEl && headerSelectorOrEl.nodeType === 1) return headerSelectorOrEl;
+  if (typeof headerSelectorOrEl !== 'string') return null;
+  return document.getElementById(headerSelectorOrEl) || document.querySelector(headerSelectorOrEl);
+}
+
+// Attaches the loaded model to a header canvas. Options:
+//   strategy   'overlay' (default) | 'inline' | 'shared' (requires `renderer`, the main renderer)
+//   camera     'orthographic' | 'perspective' (default: orthographic for overlay, perspective otherwise)
+//   fade       'material' | 'canvas' - fade material opacity, or the canvas' CSS opacity
+//              (default: material for overlay and shared, canvas inline)
+//   fit        'contain' | 'cover' | 'height' | 'width' - scales the model's bounding box to
+//              fitAmount of the padded header box; 'pixels' makes it pixelHeight px tall
+//   align      'left' | 'center' | 'right', valign 'top' | 'middle' | 'bottom'
+//   alignTo    element or selector: align beside it instead of within the header
+//              ('left' puts the model left of it, 'right' right of it), `gap` px apart
+//   padding    px number, '10%' string, or { top, right, bottom, left } of those;
+//              percentages are of the header width (left/right) or height (top/bottom)
+//   offsetX, offsetY, zIndex (overlay only), lights (ambient + directional, default true)
+//   envMap     fixed environment texture; by default the current one of environment.js
 export function topGLBUseHeaderCanvas(headerSelectorOrEl, options = {}) {
   if (!_topGLB?.object) {
     console.warn('[TopGLB] Load the top GLB first.');
     return;
   }
 
-  let el = null;
-  if (typeof headerSelectorOrEl === 'string') el = document.querySelector(headerSelectorOrEl);
-  else if (headerSelectorOrEl && headerSelectorOrEl.nodeType === 1) el = headerSelectorOrEl;
-
+  const el = resolveElement(headerSelectorOrEl);
   if (!el) {
     console.warn('[TopGLB] Header element not found:', headerSelectorOrEl);
     return;
   }
 
-  if (!_headerCanvas.renderer) _initHeaderCanvas(options.envMap);
-
+  let strategy = ['inline', 'shared'].includes(options.strategy) ? options.strategy : 'overlay';
+  if (strategy === 'shared' && !options.renderer?.isWebGLRenderer) {
+    console.warn('[TopGLB] The shared strategy needs options.renderer; using overlay.');
+    strategy = 'overlay';
+  }
   _headerCanvas.headerEl = el;
+  _headerCanvas.strategy = strategy;
+  // There is no canvas of our own to fade with the shared renderer.
+  _headerCanvas.fade = strategy === 'shared' ? 'material' : options.fade || (strategy === 'inline' ? 'canvas' : 'material');
+  if (!_headerCanvas.renderer) {
+    const init = {
+      strategy,
+      renderer: options.renderer,
+      envMap: options.envMap,
+      lights: options.lights ?? true,
+      camera: options.camera || (strategy === 'overlay' ? 'orthographic' : 'perspective')
+    };
+    try {
+      _initHeaderCanvas(init);
+    } catch (error) {
+      // Usually the browser refusing another WebGL context: draw through the main renderer.
+      if (strategy === 'shared' || !options.renderer?.isWebGLRenderer) throw error;
+      console.warn('[TopGLB] Could not create the header renderer; using the shared strategy.', error);
+      strategy = _headerCanvas.strategy = 'shared';
+      _headerCanvas.fade = 'material';
+      _initHeaderCanvas({ ...init, strategy });
+    }
+  }
+
   _headerCanvas.fit = options.fit || 'height';
   _headerCanvas.fitAmount = (options.fitAmount ?? 0.9);
+  _headerCanvas.pixelHeight = options.pixelHeight ?? 48;
+  _headerCanvas.align = options.align || 'center';
+  _headerCanvas.valign = options.valign || 'middle';
+  _headerCanvas.alignTo = options.alignTo ? resolveElement(options.alignTo) : null;
+  _headerCanvas.gap = options.gap || 0;
+  _headerCanvas.padding = normalizePadding(options.padding);
   _headerCanvas.offsetX = options.offsetX || 0;
   _headerCanvas.offsetY = options.offsetY || 0;
-  if (options.zIndex != null) {
+  if (options.zIndex != null && strategy === 'overlay') {
     _headerCanvas.zIndex = options.zIndex;
     _headerCanvas.canvas.style.zIndex = String(options.zIndex);
   }
@@ -201,88 +407,529 @@ export function topGLBUseHeaderCanvas(headerSelectorOrEl, options = {}) {
   const obj = _topGLB.object;
   if (obj.parent) obj.parent.remove(obj);
 
-  obj.traverse((n) => {
-    if ((n.isMesh || n.isPoints) && n.material) {
-      const mats = Array.isArray(n.material) ? n.material : [n.material];
-      mats.forEach((m) => { m.depthTest = false; m.depthWrite = false; });
-    }
-    if (n.isMesh || n.isPoints) n.renderOrder = 999;
-  });
+  if (_headerCanvas.fade === 'material') {
+    // Draw on top of everything in the overlay and fade via material opacity.
+    forEachMaterial(obj, (m) => { m.transparent = true; m.depthTest = false; m.depthWrite = false; m.opacity = _topGLB.opacity; });
+    obj.traverse((n) => { if (n.isMesh || n.isPoints) n.renderOrder = 999; });
+  } else {
+    _headerCanvas.canvas.style.opacity = String(_topGLB.opacity);
+  }
 
-  obj.position.set(0, 0, 0);
   _headerCanvas.pivot.add(obj);
 
   _headerCanvas.enabled = true;
+  _headerCanvas.bounds = null;
   _headerCanvas.needsLayout = true;
+  observeLayoutElements();
+}
+
+function normalizePadding(padding = 0) {
+  if (typeof padding !== 'object') padding = { top: padding, right: padding, bottom: padding, left: padding };
+  return { top: padding.top || 0, right: padding.right || 0, bottom: padding.bottom || 0, left: padding.left || 0 };
+}
+
+function paddingPx(value, extent) {
+  if (typeof value === 'string' && value.trim().endsWith('%')) return parseFloat(value) / 100 * extent;
+  return parseFloat(value) || 0;
+}
+
+// Bounds of the model with the pivot's transform and the centering offset left out.
+// Computed once per attached model; see invalidateTopGLBLayout().
+function modelBounds() {
+  if (_headerCanvas.bounds) return _headerCanvas.bounds;
+  const out = new THREE.Box3();
+  const pivot = _headerCanvas.pivot, obj = _topGLB.object;
+  const rotation = pivot.rotation.clone(), scale = pivot.scale.x;
+  const position = pivot.position.clone(), objPosition = obj.position.clone();
+  pivot.rotation.set(0, 0, 0);
+  pivot.scale.setScalar(1);
+  pivot.position.set(0, 0, 0);
+  obj.position.set(0, 0, 0);
+  pivot.updateMatrixWorld(true);
+  out.setFromObject(obj);
+  pivot.rotation.copy(rotation);
+  pivot.scale.setScalar(scale);
+  pivot.position.copy(position);
+  obj.position.copy(objPosition);
+  _headerCanvas.bounds = out;
+  return out;
 }
 
-export function updateTopGLBHeaderCanvasLayout() {
+// Cheap to call every frame: only re-measures after the header changed (see needsLayout),
+// then applies the scroll-linked transforms (see setTopGLBScrollTransforms).
+export function updateTopGLBHeaderCanvasLayout({ force = false } = {}) {
   if (!_headerCanvas.enabled || !_headerCanvas.headerEl || !_topGLB.object) return;
+  if (force || _headerCanvas.needsLayout) layoutHeaderCanvas();
+  if (_headerCanvas.rect) applyScrollTransforms();
+}
 
+function layoutHeaderCanvas() {
   const rect = _headerCanvas.headerEl.getBoundingClientRect();
   const canvas = _headerCanvas.canvas;
 
   const visible = rect.width > 0 && rect.height > 0;
-  canvas.style.display = visible ? 'block' : 'none';
-  if (!visible) return;
+  if (canvas) canvas.style.display = visible ? 'block' : 'none';
+  _headerCanvas.rect = visible ? rect : null;
+  _headerCanvas.needsLayout = false;
+  if (!visible) return; // the ResizeObserver flags it again once it has a size
 
-  canvas.style.left = rect.left + 'px';
-  canvas.style.top = rect.top + 'px';
-  canvas.style.width = rect.width + 'px';
-  canvas.style.height = rect.height + 'px';
+  if (_headerCanvas.strategy === 'overlay') {
+    canvas.style.left = rect.left + 'px';
+    canvas.style.top = rect.top + 'px';
+    canvas.style.width = rect.width + 'px';
+    canvas.style.height = rect.height + 'px';
+  }
 
-  _headerCanvas.renderer.setSize(rect.width, rect.height, false);
+  if (canvas) _headerCanvas.renderer.setSize(rect.width, rect.height, false);
+  else {
+    // Shared: the header rect in the main canvas' viewport coordinates (origin bottom-left).
+    const canvasRect = _headerCanvas.renderer.domElement.getBoundingClientRect();
+    _headerCanvas.viewport.set(rect.left - canvasRect.left, canvasRect.bottom - rect.bottom, rect.width, rect.height);
+  }
 
+  // Visible height of the camera in world units.
   const cam = _headerCanvas.camera;
-  cam.left = -rect.width / 2;
-  cam.right = rect.width / 2;
-  cam.top = rect.height / 2;
-  cam.bottom = -rect.height / 2;
+  let viewH;
+  if (cam.isPerspectiveCamera) {
+    cam.aspect = rect.width / rect.height;
+    viewH = 2 * Math.tan(THREE.MathUtils.degToRad(cam.fov) / 2) * cam.position.z;
+  } else {
+    cam.left = -rect.width / 2;
+    cam.right = rect.width / 2;
+    cam.top = rect.height / 2;
+    cam.bottom = -rect.height / 2;
+    viewH = rect.height;
+  }
   cam.updateProjectionMatrix();
 
-  _headerCanvas.pivot.position.set(_headerCanvas.offsetX, _headerCanvas.offsetY, 0);
+  const hc = _headerCanvas;
+  const bounds = modelBounds();
+  const size = bounds.getSize(new THREE.Vector3());
+  const center = bounds.getCenter(new THREE.Vector3());
+
+  // Padded layout box, in header pixels.
+  const pad = {
+    top: paddingPx(hc.padding.top, rect.height),
+    right: paddingPx(hc.padding.right, rect.width),
+    bottom: paddingPx(hc.padding.bottom, rect.height),
+    left: paddingPx(hc.padding.left, rect.width)
+  };
+  const boxW = Math.max(1, rect.width - pad.left - pad.right);
+  const boxH = Math.max(1, rect.height - pad.top - pad.bottom);
+
+  // Model height in pixels per model unit.
+  const byHeight = size.y > 0 ? boxH * hc.fitAmount / size.y : 1;
+  const byWidth = size.x > 0 ? boxW * hc.fitAmount / size.x : 1;
+  let pxPerUnit;
+  switch (hc.fit) {
+    case 'width': pxPerUnit = byWidth; break;
+    case 'contain': pxPerUnit = Math.min(byHeight, byWidth); break;
+    case 'cover': pxPerUnit = Math.max(byHeight, byWidth); break;
+    case 'pixels': pxPerUnit = size.y > 0 ? hc.pixelHeight / size.y : 1; break;
+    default: pxPerUnit = byHeight;
+  }
+  const modelW = size.x * pxPerUnit, modelH = size.y * pxPerUnit;
+
+  // Model center, in header pixels.
+  let cx;
+  if (hc.alignTo) {
+    const a = hc.alignTo.getBoundingClientRect();
+    if (hc.align === 'left') cx = a.left - rect.left - hc.gap - modelW / 2;
+    else if (hc.align === 'right') cx = a.right - rect.left + hc.gap + modelW / 2;
+    else cx = (a.left + a.right) / 2 - rect.left;
+  } else if (hc.align === 'left') cx = pad.left + modelW / 2;
+  else if (hc.align === 'right') cx = rect.width - pad.right - modelW / 2;
+  else cx = pad.left + boxW / 2;
+
+  let cy;
+  if (hc.valign === 'top') cy = pad.top + modelH / 2;
+  else if (hc.valign === 'bottom') cy = rect.height - pad.bottom - modelH / 2;
+  else cy = pad.top + boxH / 2;
+
+  const unitsPerPx = viewH / rect.height;
+  hc.layout.unitsPerPx = unitsPerPx;
+  hc.layout.scale = pxPerUnit * unitsPerPx;
+  hc.layout.position.set(
+    (cx - rect.width / 2) * unitsPerPx + hc.offsetX,
+    (rect.height / 2 - cy) * unitsPerPx + hc.offsetY,
+    0
+  );
+  hc.pivot.scale.setScalar(hc.layout.scale);
+  hc.pivot.position.copy(hc.layout.position);
+  hc.logo.x = rect.left + cx + hc.offsetX / unitsPerPx;
+  hc.logo.y = rect.top + cy - hc.offsetY / unitsPerPx;
+  hc.logo.radius = size.length() / 2 * pxPerUnit;
+  // Spin around the model's own center.
+  _topGLB.object.position.copy(center).negate();
+}
 
-  const box = new THREE.Box3().setFromObject(_topGLB.object);
-  const size = new THREE.Vector3();
-  box.getSize(size);
+/* --- Scroll-linked transforms --- */
+
+// Each transform runs over its own scroll range, by default the fade range of updateTopGLB.
+const _transforms = {
+  progress: null, // optional getter replacing the module's scroll progress
+  scaleIn: null,  // { from, start, end, ease }
+  flyIn: null,    // { from: object, camera, sphere, start, end, ease }
+  rotate: null,   // { turns, start, end, ease }
+  handOff: null,  // { object, camera, sphere, restPosition, restScale, start, end, ease }
+  rotation: 0,    // scroll-locked angle added to the spin, radians
+  fadeRange: { start: 0.01, end: 0.12 }
+};
 
-  let s = 1;
-  if (_headerCanvas.fit === 'height' && size.y > 0) s = (rect.height * _headerCanvas.fitAmount) / size.y;
-  else if (_headerCanvas.fit === 'width' && size.x > 0) s = (rect.width * _headerCanvas.fitAmount) / size.x;
+const _sphere = new THREE.Sphere();
+const _box = new THREE.Box3();
+const _worldScale = new THREE.Vector3();
+const _screen = { x: 0, y: 0, radius: 0, depth: 0 };
+const _v = new THREE.Vector3();
+const _worldPosition = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+
+// Bounding sphere of `object` in its own local space, so it can follow the object's transform.
+function localSphere(object) {
+  object.updateMatrixWorld(true);
+  _box.setFromObject(object).getBoundingSphere(_sphere);
+  object.getWorldScale(_worldScale);
+  return new THREE.Sphere(object.worldToLocal(_sphere.center.clone()), _sphere.radius / _worldScale.x);
+}
 
-  _headerCanvas.pivot.scale.setScalar(s);
+// Screen center (client px), radius (px) and view depth of a local sphere, seen by `camera` on
+// the main canvas (assumed to cover the window).
+function projectSphere(object, sphere, camera, out) {
+  object.updateMatrixWorld();
+  object.getWorldScale(_worldScale);
+  const center = _v.copy(sphere.center).applyMatrix4(object.matrixWorld);
+  camera.getWorldDirection(_forward);
+  out.depth = _forward.dot(_worldPosition.subVectors(center, camera.position));
+  center.project(camera);
+  out.x = (center.x + 1) / 2 * window.innerWidth;
+  out.y = (1 - center.y) / 2 * window.innerHeight;
+  const halfViewH = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * Math.max(1e-6, out.depth);
+  out.radius = sphere.radius * _worldScale.x / halfViewH * window.innerHeight / 2;
+  return out;
+}
 
-  _headerCanvas.needsLayout = false;
+function rangeProgress(spec, progress) {
+  const start = spec.start ?? _transforms.fadeRange.start;
+  const end = spec.end ?? _transforms.fadeRange.end;
+  return spec.ease(clamp01((progress - start) / Math.max(1e-6, end - start)));
+}
+
+// Configures scroll-linked transforms of the header model; pass null for one to turn it off.
+// Every entry takes start/end (scroll progress) and ease (name or function, see easing.js).
+//   scaleIn   { from = 0.4 }  grows from `from` times its laid-out size
+//   flyIn     { from, camera } starts at the screen position and size of object `from` in the
+//             main scene (seen by the main `camera`) and travels into its place in the header
+//   rotate    { turns = 1 }   adds turns * 360° about Y over the range (on top of the spin)
+//   handOff   { object, camera } shrinks and moves `object` in the main scene onto the header
+//             logo, so together with flyIn it looks like it becomes the logo as it fades out
+//   progress  optional getter for the progress these ranges refer to. Without start/end an
+//             entry follows the header fade range (updateTopGLB showAt/fullAt), which is in the
+//             module's scroll progress, so with a custom getter start and end are required
+// Both flyIn and handOff need a perspective main camera. The header model is only drawn
+// inside the header rect, so with flyIn it enters from the header's edge.
+export function setTopGLBScrollTransforms(options = {}) {
+  const spec = (o, defaults) => o ? { ...defaults, ...o, ease: getEasing(o.ease || 'smoothstep') } : null;
+  if ('progress' in options) _transforms.progress = options.progress || null;
+  if ('scaleIn' in options) _transforms.scaleIn = spec(options.scaleIn, { from: 0.4 });
+  if ('rotate' in options) _transforms.rotate = spec(options.rotate, { turns: 1 });
+  if ('flyIn' in options) {
+    _transforms.flyIn = spec(options.flyIn);
+    if (_transforms.flyIn) _transforms.flyIn.sphere = localSphere(options.flyIn.from);
+  }
+  if ('handOff' in options) {
+    if (_transforms.handOff) restoreHandOff(_transforms.handOff);
+    const h = _transforms.handOff = spec(options.handOff);
+    if (h) {
+      h.sphere = localSphere(h.object);
+      h.restPosition = h.object.position.clone();
+      h.restScale = h.object.scale.clone();
+    }
+  }
+  if (_transforms.progress) {
+    for (const key of ['scaleIn', 'flyIn', 'rotate', 'handOff']) {
+      const t = _transforms[key];
+      if (!t || (t.start != null && t.end != null)) continue;
+      console.warn(`[TopGLB] ${key} needs start and end with a custom progress getter; turned off.`);
+      if (key === 'handOff') restoreHandOff(t);
+      _transforms[key] = null;
+    }
+  }
+  _transforms.rotation = 0;
+}
+
+function restoreHandOff(h) {
+  h.object.position.copy(h.restPosition);
+  h.object.scale.copy(h.restScale);
+}
+
+const _handOffTarget = new THREE.Vector3();
+
+function applyHandOff(h, t, logo) {
+  const { object, camera, sphere, restScale } = h;
+  restoreHandOff(h);
+  if (t <= 0) return;
+  // Where the logo is, at the depth the object sits at when at rest.
+  const rest = projectSphere(object, sphere, camera, _screen);
+  const ratio = rest.radius > 0 ? logo.radius / rest.radius : 1;
+  const depth = rest.depth;
+  const restCenter = _v.copy(sphere.center).applyMatrix4(object.matrixWorld);
+  _handOffTarget.set(logo.x / window.innerWidth * 2 - 1, 1 - logo.y / window.innerHeight * 2, 0.5).unproject(camera);
+  _handOffTarget.sub(camera.position).normalize();
+  _handOffTarget.multiplyScalar(depth / _handOffTarget.dot(camera.getWorldDirection(_forward))).add(camera.position);
+  _handOffTarget.lerpVectors(restCenter, _handOffTarget, t);
+
+  object.scale.copy(restScale).multiplyScalar(THREE.MathUtils.lerp(1, ratio, t));
+  object.updateMatrixWorld(true);
+  // Place the object so its (scaled) sphere center lands on the interpolated point.
+  const offset = _v.copy(sphere.center).applyMatrix4(object.matrixWorld);
+  _handOffTarget.sub(offset.sub(object.getWorldPosition(_worldPosition)));
+  object.position.copy(object.parent ? object.parent.worldToLocal(_handOffTarget) : _handOffTarget);
+}
+
+function applyScrollTransforms() {
+  const hc = _headerCanvas, tr = _transforms;
+  const progress = clamp01(tr.progress ? tr.progress() : _getScrollProgress());
+  let scale = 1;
+  hc.pivot.position.copy(hc.layout.position);
+
+  if (tr.scaleIn) scale *= THREE.MathUtils.lerp(tr.scaleIn.from, 1, rangeProgress(tr.scaleIn, progress));
+  tr.rotation = tr.rotate ? rangeProgress(tr.rotate, progress) * tr.rotate.turns * Math.PI * 2 : 0;
+  if (tr.handOff) applyHandOff(tr.handOff, rangeProgress(tr.handOff, progress), hc.logo);
+
+  if (tr.flyIn) {
+    const t = rangeProgress(tr.flyIn, progress);
+    if (t < 1) {
+      const from = projectSphere(tr.flyIn.from, tr.flyIn.sphere, tr.flyIn.camera, _screen);
+      const upp = hc.layout.unitsPerPx;
+      hc.pivot.position.x += (from.x - hc.logo.x) * (1 - t) * upp;
+      hc.pivot.position.y -= (from.y - hc.logo.y) * (1 - t) * upp;
+      if (hc.logo.radius > 0) scale *= THREE.MathUtils.lerp(from.radius / hc.logo.radius, 1, t);
+    }
+  }
+  hc.pivot.scale.setScalar(hc.layout.scale * scale);
 }
 
 // Slow spin support
-const _headerSpin = { speed: 0, clock: new THREE.Clock() };
+const _headerSpin = { speed: 0, angle: 0, clock: new THREE.Clock() };
 
 export function setTopGLBHeaderSpin(speed = 0.18) {
   _headerSpin.speed = speed;
   _headerSpin.clock.getDelta();
 }
 
-export function setTopGLBMaterial(material) {
+// Skips the time since the last frame (e.g. a pause for a lost context), so the fade, the
+// animation mixer and the spin carry on from where they stopped instead of jumping.
+export function resetTopGLBClocks() {
+  _clockForTop.getDelta();
+  _headerSpin.clock.getDelta();
+}
+
+// Puts a material, or a preset by name (see material-presets.js), on the model or on the
+// letters picked by `select`, wherever the material override policy (or `policy`) allows.
+// Names and material objects follow the same policy; pass policy: 'override' to replace
+// authored materials regardless (a blocked call warns, see applyMaterialPreset).
+export function setTopGLBMaterial(material, { select, params, policy } = {}) {
   if (!_topGLB?.object || !material) return;
-  _topGLB.object.traverse((n) => {
-    if (n.isMesh) {
-      n.material = material; // shared
-      n.material.transparent = true;
-      n.material.opacity = _topGLB.opacity;
-      n.material.needsUpdate = true;
+  clearLetterHighlights();
+  const applied = applyMaterialPreset(_topGLB.object, material, { select, params, policy });
+  if (!applied) return;
+  // Before the model is attached the fade mode is unknown; topGLBUseHeaderCanvas sets opacity then.
+  if (_headerCanvas.enabled && _headerCanvas.fade === 'material') {
+    applied.transparent = true;
+    applied.depthTest = false;
+    applied.depthWrite = false;
+    applied.opacity = _topGLB.opacity;
+  }
+  applied.needsUpdate = true;
+}
+
+/* --- Hover & click --- */
+
+// The header element receives the pointer events (the canvases never do), so the nav links
+// keep working: events on links, buttons and inputs are ignored here.
+const _interaction = {
+  enabled: false,
+  tilt: 0.25,            // radians towards the pointer at the header's edge
+  rate: 6,               // per second smoothing of tilt and highlight
+  highlight: 1.5,        // emissive intensity of the hovered letter
+  highlightColor: new THREE.Color(0x88ccff),
+  href: '/',             // where a click goes when the page is already at the top
+  onClick: null,         // replaces the default click behaviour: onClick(letterName)
+  pointer: null,         // { x, y } client px while over the header
+  hovered: null,         // letter mesh under the pointer
+  targetTilt: new THREE.Vector2(),
+  currentTilt: new THREE.Vector2(),
+  letters: new Map()     // mesh -> { base, highlight, glow }
+};
+
+const _raycaster = new THREE.Raycaster();
+const _ndc = new THREE.Vector2();
+
+function isControl(target) {
+  return !!target?.closest?.('a, button, input, select, textarea, [role="button"]');
+}
+
+// Letter mesh of the header model under client point (x, y), or null.
+function pickLetter(x, y) {
+  const rect = _headerCanvas.rect;
+  if (!rect || !_topGLB.object.visible || _topGLB.opacity < 0.1) return null;
+  if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) return null;
+  _ndc.set((x - rect.left) / rect.width * 2 - 1, 1 - (y - rect.top) / rect.height * 2);
+  _raycaster.setFromCamera(_ndc, _headerCanvas.camera);
+  const hit = _raycaster.intersectObject(_topGLB.object, true)[0];
+  return hit ? hit.object : null;
+}
+
+function onHeaderPointerMove(e) {
+  if (e.pointerType !== 'mouse' || isControl(e.target)) { onHeaderPointerLeave(); return; }
+  _interaction.pointer = { x: e.clientX, y: e.clientY };
+}
+
+function onHeaderPointerLeave() {
+  _interaction.pointer = null;
+}
+
+function onHeaderClick(e) {
+  if (isControl(e.target)) return;
+  const letter = pickLetter(e.clientX, e.clientY);
+  if (!letter) return;
+  if (_interaction.onClick) { _interaction.onClick(letter.name); return; }
+  if ((window.scrollY || document.documentElement.scrollTop) > 0) {
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  } else if (_interaction.href && location.pathname !== _interaction.href) {
+    location.href = _interaction.href;
+  }
+}
+
+// Makes the header logo react to the pointer: it tilts toward it, the letter under it lights
+// up, and a click scrolls back to the top (or, already there, goes to `href`). Options:
+// tilt, rate, highlight, highlightColor, href, onClick (see _interaction). Call after
+// topGLBUseHeaderCanvas; pass { enabled: false } to turn it off again.
+export function setTopGLBHeaderInteraction(options = {}) {
+  const el = _headerCanvas.headerEl;
+  if (!el) {
+    console.warn('[TopGLB] Attach the header canvas first.');
+    return;
+  }
+  const { highlightColor, enabled = true, ...rest } = options;
+  Object.assign(_interaction, rest);
+  if (highlightColor !== undefined) _interaction.highlightColor.set(highlightColor);
+
+  if (enabled && !_interaction.enabled) {
+    el.addEventListener('pointermove', onHeaderPointerMove, { passive: true });
+    el.addEventListener('pointerleave', onHeaderPointerLeave, { passive: true });
+    el.addEventListener('click', onHeaderClick);
+  } else if (!enabled && _interaction.enabled) {
+    el.removeEventListener('pointermove', onHeaderPointerMove);
+    el.removeEventListener('pointerleave', onHeaderPointerLeave);
+    el.removeEventListener('click', onHeaderClick);
+    onHeaderPointerLeave();
+  }
+  _interaction.enabled = enabled;
+}
+
+// Swaps a letter onto its own highlight material while it glows, and back once it has faded.
+function letterState(mesh) {
+  let state = _interaction.letters.get(mesh);
+  if (!state) {
+    if (Array.isArray(mesh.material) || !mesh.material.emissive) return null;
+    const highlight = mesh.material.clone();
+    state = { base: mesh.material, highlight, glow: 0 };
+    _interaction.letters.set(mesh, state);
+  }
+  return state;
+}
+
+function clearLetterHighlights() {
+  for (const [mesh, state] of _interaction.letters) {
+    if (mesh.material === state.highlight) mesh.material = state.base;
+    state.highlight.dispose();
+  }
+  _interaction.letters.clear();
+  _interaction.hovered = null;
+}
+
+function updateInteraction(delta) {
+  const ia = _interaction, hc = _headerCanvas;
+  const k = 1 - Math.exp(-ia.rate * delta);
+
+  const hovered = ia.enabled && ia.pointer ? pickLetter(ia.pointer.x, ia.pointer.y) : null;
+  if (hovered !== ia.hovered && hc.headerEl) hc.headerEl.style.cursor = hovered ? 'pointer' : '';
+  ia.hovered = hovered;
+  if (hovered) letterState(hovered);
+
+  // Tilt toward the pointer, relative to the logo's center on screen.
+  if (ia.pointer && hc.rect) {
+    ia.targetTilt.set(
+      THREE.MathUtils.clamp((ia.pointer.y - hc.logo.y) / hc.rect.height, -1, 1) * ia.tilt,
+      THREE.MathUtils.clamp((ia.pointer.x - hc.logo.x) / (hc.rect.width / 2), -1, 1) * ia.tilt
+    );
+  } else {
+    ia.targetTilt.set(0, 0);
+  }
+  ia.currentTilt.lerp(ia.targetTilt, k);
+
+  for (const [mesh, state] of ia.letters) {
+    if (mesh.material !== state.base && mesh.material !== state.highlight) {
+      // Replaced from outside (e.g. a material transition): start over from the new one.
+      state.highlight.dispose();
+      ia.letters.delete(mesh);
+      continue;
     }
-  });
+    state.glow += ((mesh === ia.hovered ? 1 : 0) - state.glow) * k;
+    const lit = state.glow > 0.01;
+    const current = lit ? state.highlight : state.base;
+    if (mesh.material !== current) {
+      current.opacity = mesh.material.opacity; // carry the fade over
+      mesh.material = current;
+    }
+    if (lit) {
+      state.highlight.emissive.copy(ia.highlightColor);
+      state.highlight.emissiveIntensity = state.glow * ia.highlight;
+    }
+  }
 }
 
 export function renderTopGLBHeaderCanvas() {
   if (!_headerCanvas.enabled) return;
 
-  // apply slow spin
+  // apply slow spin, plus the scroll-locked rotation and the hover tilt
   const dt = _headerSpin.clock.getDelta();
-  if (_headerSpin.speed && _headerCanvas.pivot) {
-    _headerCanvas.pivot.rotation.y += dt * _headerSpin.speed;
-  }
+  _headerSpin.angle += dt * _headerSpin.speed;
+  updateInteraction(dt);
+  _headerCanvas.pivot.rotation.x = _interaction.currentTilt.x;
+  _headerCanvas.pivot.rotation.y = _headerSpin.angle + _transforms.rotation + _interaction.currentTilt.y;
+
+  if (!_topGLB.object.visible || isContextLost(_headerCanvas.renderer)) return;
+  if (_headerCanvas.strategy === 'shared') renderShared();
+  else _headerCanvas.renderer.render(_headerCanvas.scene, _headerCanvas.camera);
+}
 
-  _headerCanvas.renderer.render(_headerCanvas.scene, _headerCanvas.camera);
+const _savedViewport = new THREE.Vector4();
+const _savedScissor = new THREE.Vector4();
+
+// Draws into the header rect of the main renderer's canvas, on top of what it already shows.
+// Call after the main scene has been rendered to the screen.
+function renderShared() {
+  const r = _headerCanvas.renderer, viewport = _headerCanvas.viewport;
+  if (!_headerCanvas.rect) return;
+
+  r.getViewport(_savedViewport);
+  r.getScissor(_savedScissor);
+  const scissorTest = r.getScissorTest(), autoClear = r.autoClear, exposure = r.toneMappingExposure;
+
+  r.setRenderTarget(null);
+  r.setViewport(viewport);
+  r.setScissor(viewport);
+  r.setScissorTest(true);
+  r.autoClear = false;
+  r.toneMappingExposure = 1; // the main scene's exposure is driven by the scroll story
+  r.clearDepth();
+  r.render(_headerCanvas.scene, _headerCanvas.camera);
+
+  r.setViewport(_savedViewport);
+  r.setScissor(_savedScissor);
+  r.setScissorTest(scissorTest);
+  r.autoClear = autoClear;
+  r.toneMappingExposure = exposure;
 }